@@ -8,7 +8,10 @@
  * 1. Connects to Telegram using your saved session from Step 3
  * 2. Fetches your recent dialogs (chats)
  * 3. Displays each contact/group with their numeric ID
- * 4. You find your friend and copy their ID to .env
+ * 4. You find your friend (or group) and copy their ID to .env
+ *
+ * Groups and channels are shown with their "marked" ID (negative,
+ * e.g. -1001234567890) - that is the form TELEGRAM_GROUP_IDS expects.
  * 
  * Run with: node get-friend-id.js
  */
@@ -19,6 +22,7 @@ require('dotenv').config();
 // Import required libraries
 const { TelegramClient } = require('telegram');
 const { StringSession } = require('telegram/sessions');
+const { getPeerId } = require('telegram/Utils');
 const fs = require('fs');
 const path = require('path');
 
@@ -92,7 +96,7 @@ function formatChatInfo(dialog) {
         // Group chat (small group)
         chatType = '👥 Group';
         chatName = entity.title || 'Unnamed Group';
-        chatId = entity.id.toString();
+        chatId = getPeerId(entity); // Negative "marked" ID, e.g. -123456789
     } else if (entity.className === 'Channel') {
         // Channel or supergroup
         if (entity.megagroup) {
@@ -104,7 +108,7 @@ function formatChatInfo(dialog) {
         }
         chatName = entity.title || 'Unnamed Channel';
         username = entity.username ? `@${entity.username}` : '';
-        chatId = entity.id.toString();
+        chatId = getPeerId(entity); // Marked ID, e.g. -1001234567890
     }
     
     return { chatType, chatName, username, chatId };
@@ -158,6 +162,9 @@ function formatChatInfo(dialog) {
         console.log('   Example: FRIEND_TELEGRAM_ID=123456789');
         console.log('5. Save the .env file\n');
         
+        console.log('👥 For groups and channels: copy the ID including the "-" sign');
+        console.log('   into TELEGRAM_GROUP_IDS instead, e.g. TELEGRAM_GROUP_IDS=-1001234567890\n');
+        
         console.log('💡 TIP: Look for a 👤 User entry with your friend\'s name\n');
         console.log('⚠️  IMPORTANT: Use the numeric ID, NOT the @username!\n');
         
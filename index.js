@@ -6,7 +6,7 @@
  * Features:
  * - Telegram → WhatsApp: Forwards messages from specified friend(s) to your WhatsApp
  * - WhatsApp → Telegram: Sends messages (with prefix) from WhatsApp to Telegram friend
- * - Supports multiple friends
+ * - Supports multiple friends, plus Telegram groups and channels
  * - Auto-reconnection on failures
  * - Session persistence (no re-authentication)
  * 
@@ -17,18 +17,51 @@
 require('dotenv').config();
 
 // Import Telegram client
-const { TelegramClient } = require('telegram');
+const { TelegramClient, Api } = require('telegram');
 const { StringSession } = require('telegram/sessions');
-const { NewMessage } = require('telegram/events');
+const { NewMessage, Raw } = require('telegram/events');
+const { EditedMessage } = require('telegram/events/EditedMessage');
+const { DeletedMessage } = require('telegram/events/DeletedMessage');
+const { getDisplayName, getPeerId } = require('telegram/Utils');
 
 // Import WhatsApp client
-const { Client: WhatsAppClient, LocalAuth } = require('whatsapp-web.js');
+const { Client: WhatsAppClient, LocalAuth, MessageAck } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
 
 // Import Node.js built-ins
 const fs = require('fs');
 const path = require('path');
 
+// Import bridge helpers
+const { formatBytes } = require('./lib/media-types');
+const {
+    describeTelegramMedia,
+    toWhatsAppMedia,
+    whatsAppSendOptions,
+    supportsCaption
+} = require('./lib/telegram-media');
+const { describeTelegramContent, toWhatsAppContent } = require('./lib/telegram-content');
+const { describeWhatsAppMedia, toTelegramFile } = require('./lib/whatsapp-media');
+const { DIRECTION, STATUS, MessageStore } = require('./lib/message-store');
+const { Outbox } = require('./lib/outbox');
+const { DedupCache } = require('./lib/dedup-cache');
+const { AlbumBuffer, groupAlbums } = require('./lib/album-buffer');
+const { ConfigError, loadConfig, watchConfig, formatHeader, deletionPolicyFor, isChatSelected } = require('./lib/config');
+const { BridgeState } = require('./lib/bridge-state');
+const { parseCommand, parseDuration, formatDuration } = require('./lib/commands');
+const { HOLD_REASON, HeldMessages, formatHeldSummary, isForwardedAfterSummary } = require('./lib/held-messages');
+const { isQuietTime, formatClockTime } = require('./lib/quiet-hours');
+const { telegramToWhatsApp, whatsAppToTelegram } = require('./lib/formatting');
+const { toTelegramReaction, toWhatsAppReaction, friendReaction } = require('./lib/reactions');
+const { VOICE_MIMETYPE, needsTranscoding, transcodeToVoice } = require('./lib/voice-notes');
+const {
+    TELEGRAM_TEXT_LIMIT,
+    TELEGRAM_CAPTION_LIMIT,
+    WHATSAPP_TEXT_LIMIT,
+    WHATSAPP_CAPTION_LIMIT,
+    splitMessage
+} = require('./lib/message-splitting');
+
 // ═══════════════════════════════════════════════════════════════
 // CONFIGURATION FROM .env FILE
 // ═══════════════════════════════════════════════════════════════
@@ -37,67 +70,21 @@ const TELEGRAM_API_ID = parseInt(process.env.TELEGRAM_API_ID);
 const TELEGRAM_API_HASH = process.env.TELEGRAM_API_HASH;
 const TELEGRAM_PHONE = process.env.TELEGRAM_PHONE;
 
-// Support both singular and plural variable names for friend IDs
-const friendIdsString = process.env.FRIEND_TELEGRAM_IDS || process.env.FRIEND_TELEGRAM_ID;
 const YOUR_WHATSAPP_NUMBER = process.env.YOUR_WHATSAPP_NUMBER;
-const MESSAGE_PREFIX = process.env.MESSAGE_PREFIX || 'tg:';
-const FRIEND_TAGS = process.env.FRIEND_TAGS || '';
-
-// Parse friend IDs (comma-separated string to array of numbers)
-// IMPORTANT: FRIEND_TELEGRAM_IDS should only contain numeric IDs, not tags!
-const FRIEND_TELEGRAM_IDS = friendIdsString
-    .split(',')
-    .map(id => id.trim())
-    .filter(id => id && id !== '000000000')
-    .map(id => {
-        // Check if user accidentally put tags in FRIEND_TELEGRAM_IDS
-        if (id.includes(':')) {
-            const [tag, numId] = id.split(':');
-            console.error('\n❌ ERROR: Invalid format in FRIEND_TELEGRAM_IDS');
-            console.error(`   Found: "${id}"`);
-            console.error(`   Expected: Just numeric IDs`);
-            console.error('\n   Tags should go in FRIEND_TAGS, not FRIEND_TELEGRAM_IDS!');
-            console.error('\n   Change your .env from:');
-            console.error(`   FRIEND_TELEGRAM_IDS=${friendIdsString}`);
-            console.error('\n   To:');
-            console.error(`   FRIEND_TELEGRAM_IDS=${numId}${friendIdsString.replace(id, '').replace(/^,|,$/g, '')}`);
-            console.error(`   FRIEND_TAGS=${id}${FRIEND_TAGS ? ',' + FRIEND_TAGS : ''}`);
-            console.error('');
-            process.exit(1);
-        }
-        
-        // Check if it's a valid number
-        if (!/^\d+$/.test(id)) {
-            console.error('\n❌ ERROR: Invalid ID in FRIEND_TELEGRAM_IDS');
-            console.error(`   Found in .env: FRIEND_TELEGRAM_IDS=${friendIdsString}`);
-            console.error(`   Invalid part: "${id}"`);
-            console.error(`   Expected: Only numbers (e.g., "123456789" or "123456789,987654321")`);
-            console.error('');
-            process.exit(1);
-        }
-        
-        return BigInt(id);
-    }); // Telegram uses BigInt for user IDs
-
-// Parse friend tags into a map: { tag: telegramId, ... }
-// Example: "john:123456789,mary:987654321" → { john: 123456789n, mary: 987654321n }
-const FRIEND_TAG_MAP = {};
-const FRIEND_ID_TO_TAG = {}; // Reverse lookup: { telegramId: tag, ... }
-
-if (FRIEND_TAGS) {
-    FRIEND_TAGS.split(',').forEach(pair => {
-        const [tag, id] = pair.split(':').map(s => s.trim());
-        if (tag && id) {
-            const bigIntId = BigInt(id);
-            FRIEND_TAG_MAP[tag.toLowerCase()] = bigIntId;
-            FRIEND_ID_TO_TAG[bigIntId.toString()] = tag;
-        }
-    });
-}
+
+// How many times a message is retried before the bridge gives up on it
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+
+// Friends, groups, tags, routes and formatting: config file with .env fallback
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(__dirname, 'config', 'bridge.json');
 
 // Session file path
 const SESSION_FILE = path.join(__dirname, 'telegram-session.txt');
 
+// Bridge data (message store etc.) - mounted as a volume in Docker
+const DATA_DIR = path.join(__dirname, 'data');
+const MESSAGE_STORE_FILE = path.join(DATA_DIR, 'bridge.db');
+
 // ═══════════════════════════════════════════════════════════════
 // VALIDATE CONFIGURATION
 // ═══════════════════════════════════════════════════════════════
@@ -130,33 +117,87 @@ if (!fs.existsSync(SESSION_FILE)) {
     process.exit(1);
 }
 
-// Validate friend IDs
-if (FRIEND_TELEGRAM_IDS.length === 0) {
-    console.error('❌ ERROR: No valid friend Telegram IDs found');
-    console.error('   Please set FRIEND_TELEGRAM_IDS in .env file');
-    console.error('   Run: node get-friend-id.js to discover IDs');
-    process.exit(1);
-}
-
 // Validate WhatsApp configuration
 if (!YOUR_WHATSAPP_NUMBER || YOUR_WHATSAPP_NUMBER === '34000000000') {
     console.error('❌ ERROR: YOUR_WHATSAPP_NUMBER is missing or invalid');
     process.exit(1);
 }
 
+const CONFIG_OPTIONS = {
+    filePath: CONFIG_FILE,
+    env: process.env,
+    ownChatId: YOUR_WHATSAPP_NUMBER + '@c.us'
+};
+
+/**
+ * Print a configuration mistake with its hints
+ */
+function printConfigError(error) {
+    console.error(`\n❌ ERROR: ${error.message}`);
+    (error.details || []).forEach(line => console.error(line));
+    console.error('');
+}
+
+/**
+ * Log the friends, groups, tags and routes in use
+ */
+function logConfig(config) {
+    console.log('   Config:', config.filePath || '.env');
+    console.log('   Friend IDs:', config.friendIds.map(id => id.toString()).join(', ') || '(none)');
+    if (config.groupIds.length > 0) {
+        console.log('   Group IDs:', config.groupIds.map(id => id.toString()).join(', '));
+    }
+    console.log('   Message Prefix:', config.prefix + ' (case-insensitive)');
+    if (Object.keys(config.tags).length > 0) {
+        console.log('   Friend Tags:', Object.entries(config.tags)
+            .map(([tag, id]) => `${tag}:${id}`)
+            .join(', '));
+    }
+    if (Object.keys(config.routes).length > 0) {
+        console.log('   WhatsApp Routes:', Object.entries(config.routes)
+            .map(([id, chatId]) => `${config.tagsById[id] || id} → ${chatId}`)
+            .join(', '));
+    }
+    if (config.digest) {
+        console.log('   Digest:', `${config.digest.all ? 'all' : [...config.digest.chatIds].map(id => config.tagsById[id] || id).join(', ')}` +
+            ` every ${config.digest.windowMs / 60000} min`);
+    }
+}
+
+// Current friends, groups, tags, routes and formatting - replaced
+// when the config file changes (see watchConfig below)
+let config;
+try {
+    config = loadConfig(CONFIG_OPTIONS);
+} catch (error) {
+    if (!(error instanceof ConfigError)) {
+        throw error;
+    }
+    printConfigError(error);
+    process.exit(1);
+}
+
 console.log('✅ Configuration valid!');
 console.log('   Telegram API ID:', TELEGRAM_API_ID);
 console.log('   Telegram Phone:', TELEGRAM_PHONE);
-console.log('   Friend IDs:', FRIEND_TELEGRAM_IDS.map(id => id.toString()).join(', '));
 console.log('   WhatsApp Number:', YOUR_WHATSAPP_NUMBER);
-console.log('   Message Prefix:', MESSAGE_PREFIX + ' (case-insensitive)');
-if (Object.keys(FRIEND_TAG_MAP).length > 0) {
-    console.log('   Friend Tags:', Object.entries(FRIEND_TAG_MAP)
-        .map(([tag, id]) => `${tag}:${id}`)
-        .join(', '));
-}
+console.log('   Retry Limit:', OUTBOX_MAX_ATTEMPTS + ' attempt(s)');
+logConfig(config);
 console.log('');
 
+// Record of every bridged message (both directions)
+const messageStore = new MessageStore(MESSAGE_STORE_FILE);
+
+// Messages waiting for (or retrying) delivery, in both directions
+const outbox = new Outbox(messageStore.db, { maxAttempts: OUTBOX_MAX_ATTEMPTS });
+
+// Pause and mutes set with the tg:/ commands
+const bridgeState = new BridgeState(messageStore.db);
+
+// Telegram messages held while muted or during quiet hours
+const heldMessages = new HeldMessages(messageStore.db);
+const BRIDGE_STARTED_AT = Date.now();
+
 // ═══════════════════════════════════════════════════════════════
 // INITIALIZE TELEGRAM CLIENT
 // ═══════════════════════════════════════════════════════════════
@@ -183,6 +224,8 @@ const whatsappClient = new WhatsAppClient({
     authStrategy: new LocalAuth({
         clientId: 'telegram-bridge'
     }),
+    // Used to turn Telegram video stickers into WhatsApp stickers
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
     puppeteer: {
         headless: true,
         args: [
@@ -201,11 +244,16 @@ const whatsappClient = new WhatsAppClient({
 // WHATSAPP EVENT HANDLERS
 // ═══════════════════════════════════════════════════════════════
 
+// Only true between 'ready' and a disconnect - messages to WhatsApp
+// wait in the outbox until then
+let whatsappReady = false;
+
 /**
  * Event: QR code for WhatsApp authentication
  * Should only trigger if session expired or doesn't exist
  */
 whatsappClient.on('qr', (qr) => {
+    whatsappReady = false;
     console.log('\n⚠️  WhatsApp session expired or not found!');
     console.log('📷 Please scan this QR code with your phone:\n');
     qrcode.generate(qr, { small: true });
@@ -226,8 +274,53 @@ whatsappClient.on('ready', () => {
     console.log('✅ WhatsApp client ready!');
     console.log('   Connected as:', whatsappClient.info.pushname);
     console.log('   Phone:', whatsappClient.info.wid.user);
+
+    whatsappReady = true;
+    outbox.flush();
+
+    checkWhatsAppRoutes().catch(error => {
+        console.error('⚠️  Could not check WhatsApp routes:', error.message);
+    });
+
+    // Now that we can deliver, forward what arrived while we were down
+    catchUpMissedMessages().catch(error => {
+        console.error('❌ Error catching up on missed messages:', error.message);
+    });
 });
 
+/**
+ * Log which WhatsApp chat each route points to
+ * If a routed chat can't be found, list your WhatsApp groups with their
+ * IDs so the right one can be copied into the routes.
+ */
+async function checkWhatsAppRoutes() {
+    const routes = Object.entries(config.routes);
+    if (routes.length === 0) {
+        return;
+    }
+
+    console.log('\n🧭 WhatsApp routes:');
+    let missing = false;
+
+    for (const [peerId, chatId] of routes) {
+        const chat = await whatsappClient.getChatById(chatId).catch(() => null);
+        if (chat) {
+            console.log(`   ✅ ${friendLabel(peerId)} → "${chat.name}" (${chatId})`);
+        } else {
+            missing = true;
+            console.log(`   ❌ ${friendLabel(peerId)} → ${chatId} (chat not found)`);
+        }
+    }
+
+    if (missing) {
+        const groups = (await whatsappClient.getChats()).filter(chat => chat.isGroup);
+        console.log('\n   Your WhatsApp groups:');
+        for (const group of groups) {
+            console.log(`   👥 ${group.name} | ID: ${group.id._serialized}`);
+        }
+    }
+}
+
 /**
  * Event: WhatsApp authentication failure
  */
@@ -240,13 +333,165 @@ whatsappClient.on('auth_failure', (msg) => {
  * Event: WhatsApp disconnected
  */
 whatsappClient.on('disconnected', (reason) => {
+    whatsappReady = false;
     console.log('⚠️  WhatsApp disconnected:', reason);
+    console.log('   Messages for WhatsApp will be queued until it is back');
 });
 
 // ═══════════════════════════════════════════════════════════════
 // MESSAGE FORWARDING: WHATSAPP → TELEGRAM
 // ═══════════════════════════════════════════════════════════════
 
+// WhatsApp message IDs already handled - 'message' and 'message_create'
+// both fire for your own messages, and events can replay after a reconnect
+const handledWhatsAppMessages = new DedupCache();
+
+// WhatsApp messages the bridge sent itself (confirmations, forwarded
+// copies) - these show up as your own messages and must not bounce back
+const bridgeSentMessages = new DedupCache();
+const pendingWhatsAppSends = new Set();
+
+/**
+ * Send a WhatsApp message and remember that the bridge sent it
+ */
+async function sendWhatsAppMessage(chatId, content, options = {}) {
+    const sending = whatsappClient.sendMessage(chatId, content, options);
+    pendingWhatsAppSends.add(sending);
+    try {
+        const sent = await sending;
+        if (sent) {
+            bridgeSentMessages.add(sent.id._serialized);
+        }
+        return sent;
+    } finally {
+        pendingWhatsAppSends.delete(sending);
+    }
+}
+
+/**
+ * Send a text that may be over WhatsApp's limit, in numbered parts
+ * Only the first part quotes (options.quotedMessageId). Each part is a
+ * step of the outbox job's progress, so a retry starts at the first part
+ * that wasn't sent. Returns the IDs of the WhatsApp messages.
+ */
+async function sendWhatsAppText(chatId, text, options, progress) {
+    const sentIds = [];
+    for (const [index, part] of splitMessage(text, WHATSAPP_TEXT_LIMIT).entries()) {
+        sentIds.push(await progress.step(`part:${index}`, async () => {
+            const sent = await sendWhatsAppMessage(chatId, part, index === 0 ? options : {});
+            return sent.id._serialized;
+        }));
+    }
+    return sentIds;
+}
+
+/**
+ * Answer a WhatsApp message (quoting it) from the bridge
+ * In chat mode the answer starts with who you are talking to.
+ */
+function replyOnWhatsApp(msg, content) {
+    const chatId = msg.fromMe ? msg.to : msg.from;
+    const chatMode = chatModeIn(chatId);
+    if (chatMode && Date.now() < chatMode.until && typeof content === 'string') {
+        content = `💬 ${friendLabel(chatMode.chatId)} | ${content}`;
+    }
+    return sendWhatsAppMessage(chatId, content, { quotedMessageId: msg.id._serialized });
+}
+
+/**
+ * Whether a WhatsApp message was sent by the bridge itself
+ * The event can arrive before sendMessage() resolves, so wait for
+ * sends still in flight before checking.
+ */
+async function isSentByBridge(msg) {
+    if (pendingWhatsAppSends.size > 0) {
+        await Promise.allSettled([...pendingWhatsAppSends]);
+    }
+    const id = msg.id._serialized;
+    // Forwarded copies are also in the message store, even after a restart
+    return bridgeSentMessages.has(id) ||
+        messageStore.findByDestination(DIRECTION.TELEGRAM_TO_WHATSAPP, id).length > 0;
+}
+
+// How long a bare "tg:<tag>" waits for an attachment without caption
+const PENDING_MEDIA_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Tag armed by a bare "tg:<tag>" message: { tag, chatId, expiresAt }
+let pendingMediaTarget = null;
+
+// How long tg:/chat lasts without a message, unless given (tg:/chat john 2h)
+const CHAT_MODE_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * The chat mode (tg:/chat) of a WhatsApp chat, or null
+ * Also returned once it has timed out - check `until`.
+ */
+function chatModeIn(whatsappChatId) {
+    const chat = bridgeState.getChat();
+    return chat && chat.whatsappChatId === whatsappChatId ? chat : null;
+}
+
+/**
+ * Display name for a Telegram peer: its tag if it has one, else the ID
+ */
+function friendLabel(peerId) {
+    return config.tagsById[peerId.toString()] || peerId.toString();
+}
+
+/**
+ * WhatsApp chat that messages from a Telegram peer go to:
+ * its configured route, or your own chat
+ */
+function whatsappChatFor(peerId) {
+    return config.routes[peerId.toString()] || YOUR_WHATSAPP_NUMBER + '@c.us';
+}
+
+/**
+ * Find the Telegram chat(s) behind a quoted WhatsApp message
+ * Works for forwarded "📨 TG | Name:" messages and for our own tg: messages.
+ * Returns an array of { peerId, replyTo }, null if the quote isn't bridged,
+ * or an empty array if it is a summary from several friends (no way to
+ * tell which one is meant).
+ */
+async function resolveQuotedTargets(msg) {
+    if (!msg.hasQuotedMsg) {
+        return null;
+    }
+
+    const quoted = await msg.getQuotedMessage();
+    if (!quoted) {
+        return null;
+    }
+
+    const quotedId = quoted.id._serialized;
+
+    // A forwarded Telegram message: answer the original
+    const forwarded = messageStore.findByDestination(DIRECTION.TELEGRAM_TO_WHATSAPP, quotedId)
+        .filter(row => row.status === STATUS.DELIVERED);
+    if (forwarded.length > 0) {
+        if (new Set(forwarded.map(row => row.source_chat_id)).size > 1) {
+            return [];
+        }
+        return [{
+            peerId: BigInt(forwarded[0].source_chat_id),
+            replyTo: Number(forwarded[0].source_message_id)
+        }];
+    }
+
+    // One of our own tg: messages: continue under our Telegram copy
+    const quotedChatId = quoted.fromMe ? quoted.to : quoted.from;
+    const sent = messageStore.findBySource(DIRECTION.WHATSAPP_TO_TELEGRAM, quotedChatId, quotedId)
+        .filter(row => row.status === STATUS.DELIVERED);
+    if (sent.length > 0) {
+        return sent.map(row => ({
+            peerId: BigInt(row.destination_chat_id),
+            replyTo: Number(row.destination_message_id)
+        }));
+    }
+
+    return null;
+}
+
 /**
  * Listen for messages on WhatsApp
  * When a message starts with the prefix, send it to Telegram friend(s)
@@ -255,6 +500,17 @@ whatsappClient.on('disconnected', (reason) => {
  * - "tg: message" or "TG: message" → sends to all friends
  * - "tg:all message" → sends to all friends
  * - "tg:john message" → sends to friend tagged as "john"
+ * - "tg:/status", "tg:/mute john 2h", ... → bridge commands (see tg:/help)
+ * - Quote-reply to a forwarded "📨 TG | Name:" message (no prefix needed)
+ *   → sends to that friend as a Telegram reply to the original message
+ * - Any message in a chat routed to a friend (no prefix needed)
+ *   → sends to that friend, like a mirrored conversation
+ * - Any message after "tg:/chat john" in the same chat (no prefix
+ *   needed) → sends to john, until "tg:/end" or it sits idle too long
+ * 
+ * Photos, videos, voice notes and documents work the same way:
+ * put the prefix (and optional tag/text) in the caption. Voice notes
+ * have no caption, so send "tg:john" first and then the voice note.
  * 
  * Note: Using 'message_create' instead of 'message' to capture self-sent messages
  */
@@ -269,22 +525,80 @@ async function handleWhatsAppMessage(msg) {
             return; // Ignore messages from other people
         }
 
+        // Handle each message once, and never our own confirmations
+        if (handledWhatsAppMessages.seen(msg.id._serialized) || await isSentByBridge(msg)) {
+            return;
+        }
+
         // Check if message starts with the prefix (case-insensitive)
-        const lowerBody = msg.body.toLowerCase();
-        const lowerPrefix = MESSAGE_PREFIX.toLowerCase();
+        // For photos, videos and files the text is the caption
+        const body = msg.body || '';
+        const lowerBody = body.toLowerCase();
+        const lowerPrefix = config.prefix.toLowerCase();
         
-        if (!lowerBody.startsWith(lowerPrefix)) {
+        const chatId = msg.fromMe ? msg.to : msg.from;
+        const routedPeer = config.routedChats[chatId] || null;
+        let afterPrefix;
+
+        // Already bridged before a restart or reconnect
+        if (messageStore.isBridged(DIRECTION.WHATSAPP_TO_TELEGRAM, chatId, msg.id._serialized)) {
+            return;
+        }
+
+        if (lowerBody.startsWith(lowerPrefix)) {
+            // Extract everything after the prefix
+            afterPrefix = body.substring(config.prefix.length).trim();
+        } else if (msg.hasMedia && pendingMediaTarget && pendingMediaTarget.chatId === chatId &&
+            Date.now() < pendingMediaTarget.expiresAt) {
+            // Attachment without a caption (e.g. a voice note) after "tg:john"
+            afterPrefix = `${pendingMediaTarget.tag} ${body}`.trim();
+            pendingMediaTarget = null;
+        } else {
+            if (!body.trim() && !msg.hasMedia) {
+                return;
+            }
+
+            // Quote-reply to a bridged message goes back to that chat
+            const quotedTargets = await resolveQuotedTargets(msg);
+            if (quotedTargets && quotedTargets.length === 0) {
+                await replyOnWhatsApp(msg, '⚠️ That message is from several friends. Use ' + config.prefix + '<tag> to pick one.');
+                return;
+            }
+            if (quotedTargets) {
+                const labels = [...new Set(quotedTargets.map(target => friendLabel(target.peerId)))];
+                await sendToTelegram(msg, quotedTargets, body.trim(), labels.join(', '), { mirrored: Boolean(routedPeer) });
+                return;
+            }
+
+            // Anything typed in a friend's routed chat goes to that friend
+            if (routedPeer) {
+                await sendToTelegram(msg, [{ peerId: routedPeer }], body.trim(), friendLabel(routedPeer), { mirrored: true });
+                return;
+            }
+
+            // After tg:/chat john, anything typed in this chat goes to john
+            const chatMode = chatModeIn(chatId);
+            if (chatMode) {
+                await sendInChatMode(msg, chatMode, body.trim());
+            }
             return; // Not a command for the bridge
         }
 
-        // Extract everything after the prefix
-        const afterPrefix = msg.body.substring(MESSAGE_PREFIX.length).trim();
+        // Bridge commands: tg:/status, tg:/mute john 2h, ...
+        const command = parseCommand(afterPrefix);
+        if (command) {
+            await handleBridgeCommand(msg, command);
+            return;
+        }
 
-        if (!afterPrefix) {
-            const tagHelp = Object.keys(FRIEND_TAG_MAP).length > 0 
-                ? `\n   Tags: ${Object.keys(FRIEND_TAG_MAP).join(', ')}, all`
+        // Media may be sent without any text at all ("tg:" as the caption)
+        if (!afterPrefix && !msg.hasMedia) {
+            const tagHelp = Object.keys(config.tags).length > 0 
+                ? `\n   Tags: ${Object.keys(config.tags).join(', ')}, all`
                 : '';
-            await msg.reply('⚠️ Message is empty.\n\nUsage:\n   ' + MESSAGE_PREFIX + ' Your message\n   ' + MESSAGE_PREFIX + 'all Your message\n   ' + MESSAGE_PREFIX + 'john Your message' + tagHelp);
+            await replyOnWhatsApp(msg, '⚠️ Message is empty.\n\nUsage:\n   ' + config.prefix + ' Your message\n   ' + config.prefix + 'all Your message\n   ' + config.prefix + 'john Your message' + tagHelp +
+                '\n\n💬 Or quote-reply a forwarded message to answer that friend.' +
+                '\n🎛️ ' + config.prefix + '/help lists the bridge commands.');
             return;
         }
 
@@ -298,178 +612,2308 @@ async function handleWhatsAppMessage(msg) {
         if (firstSpace > 0) {
             const potentialTag = afterPrefix.substring(0, firstSpace).toLowerCase();
             
-            if (potentialTag === 'all' || FRIEND_TAG_MAP[potentialTag]) {
+            if (potentialTag === 'all' || config.tags[potentialTag]) {
                 targetTag = potentialTag;
                 messageToSend = afterPrefix.substring(firstSpace + 1).trim();
             }
-        } else if (afterPrefix.toLowerCase() === 'all' || FRIEND_TAG_MAP[afterPrefix.toLowerCase()]) {
-            await msg.reply('⚠️ No message provided after tag.');
-            return;
+        } else if (afterPrefix.toLowerCase() === 'all' || config.tags[afterPrefix.toLowerCase()]) {
+            if (!msg.hasMedia) {
+                // Voice notes can't carry a caption, so "tg:john" on its own
+                // sends the next attachment from this chat to that tag
+                pendingMediaTarget = {
+                    tag: afterPrefix.toLowerCase(),
+                    chatId,
+                    expiresAt: Date.now() + PENDING_MEDIA_TIMEOUT_MS
+                };
+                await replyOnWhatsApp(msg, `⚠️ No message provided after tag.\n\n📎 Send a voice note or file within ${PENDING_MEDIA_TIMEOUT_MS / 60000} minutes and it will go to ${afterPrefix.toLowerCase()}.`);
+                return;
+            }
+            // A captioned file like "tg:john" - the tag is all there is
+            targetTag = afterPrefix.toLowerCase();
+            messageToSend = '';
         }
 
-        if (!messageToSend) {
-            await msg.reply('⚠️ Message is empty.');
+        if (!messageToSend && !msg.hasMedia) {
+            await replyOnWhatsApp(msg, '⚠️ Message is empty.');
             return;
         }
 
         // Determine which friends to send to
         let targetFriendIds = [];
-        let targetDescription = '';
 
         if (targetTag === 'all') {
-            targetFriendIds = FRIEND_TELEGRAM_IDS;
-            targetDescription = 'all friends';
-        } else if (FRIEND_TAG_MAP[targetTag]) {
-            targetFriendIds = [FRIEND_TAG_MAP[targetTag]];
-            targetDescription = `friend "${targetTag}"`;
+            targetFriendIds = config.friendIds;
+        } else if (config.tags[targetTag]) {
+            targetFriendIds = [config.tags[targetTag]];
         } else {
-            await msg.reply(`⚠️ Unknown tag: "${targetTag}"\nAvailable: ${Object.keys(FRIEND_TAG_MAP).join(', ')}, all`);
+            await replyOnWhatsApp(msg, `⚠️ Unknown tag: "${targetTag}"\nAvailable: ${Object.keys(config.tags).join(', ')}, all`);
             return;
         }
 
-        console.log(`\n📤 [WhatsApp → Telegram] Sending message...`);
-        console.log(`   From: You (WhatsApp)`);
-        console.log(`   To: ${targetDescription} (${targetFriendIds.length} recipient(s))`);
-        console.log(`   Message: "${messageToSend.substring(0, 50)}${messageToSend.length > 50 ? '...' : ''}"`);
-
-        // Send to target friend(s) on Telegram
-        let successCount = 0;
-        let errorCount = 0;
-
-        for (const friendId of targetFriendIds) {
-            try {
-                await telegramClient.sendMessage(friendId, { message: messageToSend });
-                successCount++;
-                const friendTag = FRIEND_ID_TO_TAG[friendId.toString()] || friendId.toString();
-                console.log(`   ✅ Sent to: ${friendTag}`);
-            } catch (error) {
-                errorCount++;
-                const friendTag = FRIEND_ID_TO_TAG[friendId.toString()] || friendId.toString();
-                console.error(`   ❌ Failed to send to ${friendTag}:`, error.message);
-            }
-        }
-
-        // Send confirmation back to WhatsApp
-        if (successCount > 0) {
-            const recipients = targetTag === 'all' 
-                ? `${successCount} friend(s)` 
-                : targetTag;
-            await msg.reply(`✅ Sent to ${recipients} on Telegram`);
-        }
-        if (errorCount > 0) {
-            await msg.reply(`⚠️ Failed to send to ${errorCount} friend(s)`);
-        }
+        const targets = targetFriendIds.map(peerId => ({ peerId }));
+        await sendToTelegram(msg, targets, messageToSend, targetTag === 'all' ? null : targetTag);
 
     } catch (error) {
         console.error('❌ Error in WhatsApp → Telegram forwarding:', error.message);
         try {
-            await msg.reply('❌ Error sending message to Telegram');
+            await replyOnWhatsApp(msg, '❌ Error sending message to Telegram');
         } catch (replyError) {
             console.error('   Could not send error reply:', replyError.message);
         }
     }
 }
 
+/**
+ * Send a message typed without the prefix in chat mode (tg:/chat john)
+ * Once the mode has timed out, the message is not sent - it may not
+ * have been meant for them anymore - and the mode ends.
+ */
+async function sendInChatMode(msg, chatMode, text) {
+    const label = friendLabel(chatMode.chatId);
+
+    if (Date.now() >= chatMode.until) {
+        bridgeState.endChat();
+        console.log(`\n⌛ Chat mode with ${label} timed out`);
+        await replyOnWhatsApp(msg, `⌛ The chat with ${label} ended after ${formatDuration(chatMode.timeoutMs)} ` +
+            `without messages, so this wasn't sent.\nStart it again with ${config.prefix}/chat ${label}`);
+        return;
+    }
+
+    // Confirmed with a reply rather than a reaction: replyOnWhatsApp() prefixes
+    // it with the friend, so the chat shows who each message went to
+    bridgeState.touchChat();
+    await sendToTelegram(msg, [{ peerId: BigInt(chatMode.chatId) }], text, label);
+}
+
+/**
+ * Send a WhatsApp message (text and/or media) to Telegram chat(s)
+ * and confirm back on WhatsApp.
+ *
+ * targets: array of { peerId, replyTo } - replyTo is an optional
+ *          Telegram message ID to answer as a reply
+ * recipientsLabel: how to name the recipients in the confirmation,
+ *          or null to just count them ("2 friend(s)")
+ * options.mirrored: written in the friend's routed chat (directly or as a
+ *          quote-reply), where the chat itself says who it went to - success
+ *          is shown as a ✅ reaction instead of a reply, to keep it readable
+ */
+async function sendToTelegram(msg, targets, messageToSend, recipientsLabel, { mirrored = false } = {}) {
+    const isReply = targets.some(target => target.replyTo);
+
+    console.log(`\n📤 [WhatsApp → Telegram] Sending message...`);
+    console.log(`   From: You (WhatsApp)`);
+    console.log(`   To: ${recipientsLabel || 'all friends'} (${targets.length} recipient(s))${isReply ? ' as a reply' : ''}`);
+    if (msg.hasMedia) {
+        console.log(`   Media: ${describeWhatsAppMedia(msg)}`);
+    }
+    if (messageToSend) {
+        console.log(`   Message: "${messageToSend.substring(0, 50)}${messageToSend.length > 50 ? '...' : ''}"`);
+    }
+
+    // Download the attachment once, it is uploaded to every recipient
+    let media = null;
+    if (msg.hasMedia) {
+        media = await msg.downloadMedia();
+        if (!media) {
+            await replyOnWhatsApp(msg, `⚠️ Could not download the ${describeWhatsAppMedia(msg)} from WhatsApp`);
+            return;
+        }
+    }
+
+    // Queue one delivery per friend - sent right away if Telegram is connected
+    const chatId = msg.fromMe ? msg.to : msg.from;
+    let successCount = 0;
+    let queuedCount = 0;
+    let errorCount = 0;
+    let lastError = null;
+
+    for (const { peerId, replyTo } of targets) {
+        const recordId = messageStore.recordPending({
+            direction: DIRECTION.WHATSAPP_TO_TELEGRAM,
+            sourceChatId: chatId,
+            sourceMessageId: msg.id._serialized,
+            sourceTimestamp: msg.timestamp,
+            destinationChatId: peerId
+        });
+
+        const result = await outbox.send(DIRECTION.WHATSAPP_TO_TELEGRAM, {
+            recordId,
+            whatsappChatId: chatId,
+            whatsappMessageId: msg.id._serialized,
+            mediaType: msg.type,
+            timestamp: msg.timestamp,
+            duration: msg.duration || null,
+            hasMedia: Boolean(media),
+            peerId: peerId.toString(),
+            replyTo: replyTo || null,
+            text: messageToSend
+        }, { media });
+
+        if (result.delivered) {
+            successCount++;
+            console.log(`   ✅ Sent to: ${friendLabel(peerId)}`);
+        } else if (result.queued) {
+            queuedCount++;
+            console.log(`   ⏳ Queued for: ${friendLabel(peerId)}${result.error ? ` (${result.error.message})` : ''}`);
+        } else {
+            errorCount++;
+            lastError = result.error;
+            console.error(`   ❌ Failed to send to ${friendLabel(peerId)}:`, result.error.message);
+        }
+    }
+
+    // Send confirmation back to WhatsApp
+    if (successCount > 0 && mirrored) {
+        await msg.react('✅');
+    } else if (successCount > 0) {
+        const recipients = recipientsLabel || `${successCount} friend(s)`;
+        await replyOnWhatsApp(msg, `✅ Sent to ${recipients} on Telegram${isReply ? ' (as a reply)' : ''}`);
+    }
+    if (queuedCount > 0) {
+        await replyOnWhatsApp(msg, `⏳ Telegram is not reachable right now. Queued for ${queuedCount} friend(s), will retry automatically.`);
+    }
+    if (errorCount > 0) {
+        await replyOnWhatsApp(msg, `⚠️ Failed to send to ${errorCount} friend(s): ${lastError.message}`);
+    }
+}
+
+/**
+ * Send WhatsApp markup (at most TELEGRAM_TEXT_LIMIT long) to Telegram,
+ * with *bold*, _italic_... turned into Telegram formatting
+ */
+function sendTelegramText(peerId, text, replyTo = undefined) {
+    const formatted = whatsAppToTelegram(text);
+    return telegramClient.sendMessage(peerId, {
+        message: formatted.text,
+        formattingEntities: formatted.entities,
+        replyTo
+    });
+}
+
+/**
+ * Outbox handler: deliver a queued WhatsApp message to one Telegram chat
+ *
+ * The downloaded media is kept in memory while the bridge runs; after a
+ * restart it is downloaded again from WhatsApp.
+ */
+outbox.register(DIRECTION.WHATSAPP_TO_TELEGRAM, {
+    lane: (payload) => payload.peerId,
+
+    isReady: (payload, context) => telegramClient.connected &&
+        (!payload.hasMedia || Boolean(context && context.media) || whatsappReady),
+
+    async deliver(payload, context, job) {
+        const peerId = BigInt(payload.peerId);
+        const replyTo = payload.replyTo || undefined;
+        const progress = outbox.progress(job, payload);
+        const sentIds = [];
+
+        if (payload.hasMedia) {
+            // WhatsApp markup (*bold*, _italic_...) becomes Telegram formatting.
+            // A caption over Telegram's limit continues in texts after the file.
+            const [captionText, ...overflow] = splitMessage(payload.text, TELEGRAM_TEXT_LIMIT, TELEGRAM_CAPTION_LIMIT);
+
+            sentIds.push(await progress.step('media', async () => {
+                let media = context && context.media;
+                if (!media) {
+                    const original = await whatsappClient.getMessageById(payload.whatsappMessageId);
+                    media = original && await original.downloadMedia();
+                    if (!media) {
+                        throw new Error('Attachment is no longer available on WhatsApp');
+                    }
+                }
+                if (isTypingMirrored(payload.peerId)) {
+                    await showTelegramUpload(peerId, payload.mediaType);
+                }
+
+                const caption = whatsAppToTelegram(captionText);
+                let source = { type: payload.mediaType, timestamp: payload.timestamp, duration: payload.duration };
+
+                // Voice notes arrive as Telegram voice messages, which must be OGG/Opus
+                if (source.type === 'ptt' && needsTranscoding(media.mimetype)) {
+                    try {
+                        const converted = await transcodeToVoice(Buffer.from(media.data, 'base64'));
+                        media = { mimetype: VOICE_MIMETYPE, data: converted.toString('base64'), filename: null };
+                    } catch (error) {
+                        console.log(`   ⚠️  Could not convert the voice note (${error.message}), sending it as audio`);
+                        source = { ...source, type: 'audio' };
+                    }
+                }
+
+                const sent = await telegramClient.sendFile(peerId, {
+                    ...toTelegramFile(source, media, caption.text),
+                    formattingEntities: caption.entities,
+                    replyTo
+                });
+                return sent.id;
+            }));
+            for (const [index, part] of overflow.entries()) {
+                sentIds.push(await progress.step(`overflow:${index}`, async () => {
+                    const sent = await sendTelegramText(peerId, part);
+                    return sent.id;
+                }));
+            }
+        } else {
+            // Over Telegram's limit: numbered parts, only the first one replies.
+            // A retry starts at the first part that wasn't sent.
+            for (const [index, part] of splitMessage(payload.text, TELEGRAM_TEXT_LIMIT).entries()) {
+                sentIds.push(await progress.step(`part:${index}`, async () => {
+                    const sent = await sendTelegramText(peerId, part, index === 0 ? replyTo : undefined);
+                    return sent.id;
+                }));
+            }
+        }
+
+        messageStore.markDelivered(payload.recordId, sentIds);
+    },
+
+    async onDelivered(payload, job) {
+        if (job.queued && whatsappReady) {
+            console.log(`✅ Queued message delivered to ${friendLabel(payload.peerId)} on Telegram`);
+            await sendWhatsAppMessage(payload.whatsappChatId,
+                `✅ Queued message delivered to ${friendLabel(payload.peerId)} on Telegram`,
+                { quotedMessageId: payload.whatsappMessageId });
+        }
+    },
+
+    async onGiveUp(payload, error, job) {
+        messageStore.markFailed(payload.recordId, error);
+        if (whatsappReady) {
+            await sendWhatsAppMessage(payload.whatsappChatId,
+                `❌ Could not deliver to ${friendLabel(payload.peerId)} on Telegram after ${job.attempts} attempt(s): ${error.message}`,
+                { quotedMessageId: payload.whatsappMessageId });
+        }
+    }
+});
+
 // Listen to BOTH 'message' and 'message_create' events
 // 'message_create' is needed to capture messages you send yourself
 whatsappClient.on('message', handleWhatsAppMessage);
 whatsappClient.on('message_create', handleWhatsAppMessage);
 
 // ═══════════════════════════════════════════════════════════════
-// MESSAGE FORWARDING: TELEGRAM → WHATSAPP
+// BRIDGE COMMANDS (tg:/status, tg:/mute john 2h, ...)
 // ═══════════════════════════════════════════════════════════════
 
+// Most messages /history shows at once
+const HISTORY_MAX_MESSAGES = 50;
+
+const COMMAND_HELP = [
+    '/status - bridge and connection state',
+    '/friends - friends, groups, tags and routes',
+    '/mute john [30m|2h|1d] - stop forwarding a friend (for a while)',
+    '/unmute [john] - unmute a friend, or everyone',
+    '/pause - hold all Telegram messages',
+    '/resume - deliver held messages and carry on',
+    '/history john [10] - latest messages of a Telegram chat',
+    '/chat john [30m] - send everything you type in this chat to john, no prefix',
+    '/end - stop /chat'
+];
+
 /**
- * Listen for new messages on Telegram
- * When a message is from a configured friend, forward it to WhatsApp
+ * Run a command sent from WhatsApp and reply with the result
+ * Every reply ends with the current state, so it's clear what changed.
  */
-async function setupTelegramForwarding() {
-    // Get your own Telegram info (for logging)
-    const me = await telegramClient.getMe();
-    console.log('✅ Telegram client ready!');
-    console.log('   Connected as:', me.firstName, me.lastName || '');
-    console.log('   Username:', me.username ? '@' + me.username : '(no username)');
+async function handleBridgeCommand(msg, { name, args }) {
+    console.log(`\n🎛️  [Command] ${config.prefix}/${name}${args.length ? ' ' + args.join(' ') : ''}`);
 
-    console.log('\n' + '═'.repeat(70));
-    console.log('🎉 BRIDGE IS ACTIVE!');
-    console.log('═'.repeat(70));
-    console.log('\n📨 Forwarding Configuration:');
-    console.log('   Telegram → WhatsApp: Messages from ' + FRIEND_TELEGRAM_IDS.length + ' friend(s)');
-    console.log('   WhatsApp → Telegram: Messages starting with "' + MESSAGE_PREFIX + '"');
+    let reply;
+    try {
+        switch (name) {
+            case 'status':
+                reply = formatStatus();
+                break;
+            case 'friends':
+                reply = await formatFriends();
+                break;
+            case 'mute':
+                reply = muteCommand(args);
+                break;
+            case 'unmute':
+                reply = await unmuteCommand(args);
+                break;
+            case 'pause':
+                reply = pauseCommand();
+                break;
+            case 'resume':
+                reply = resumeCommand();
+                break;
+            case 'history':
+                reply = await historyCommand(args);
+                break;
+            case 'chat':
+                reply = chatCommand(args, msg.fromMe ? msg.to : msg.from);
+                break;
+            case 'end':
+                reply = endCommand();
+                break;
+            default:
+                reply = formatCommandHelp(name === 'help' ? null : name);
+        }
+    } catch (error) {
+        console.error(`   ❌ Command failed:`, error.message);
+        reply = `❌ ${config.prefix}/${name} failed: ${error.message}`;
+    }
 
-    // Listen for new messages
-    telegramClient.addEventHandler(async (event) => {
-        try {
-            const message = event.message;
+    await replyOnWhatsApp(msg, reply);
+}
 
-            // Ignore events without a message object
-            if (!message) {
-                return;
-            }
+/**
+ * Telegram chat named in a command: a tag or a configured ID
+ */
+function resolveCommandPeer(arg) {
+    if (!arg) {
+        return null;
+    }
+    const tagged = config.tags[arg.toLowerCase()];
+    if (tagged !== undefined) {
+        return tagged;
+    }
+    const configured = [...config.friendIds, ...config.groupIds];
+    return configured.find(id => id.toString() === arg) || null;
+}
 
-            // Ignore messages without text
-            if (!message.text) {
-                return;
-            }
+function formatCommandHelp(unknownName) {
+    const lines = unknownName ? [`⚠️ Unknown command: /${unknownName}`, ''] : [];
+    lines.push('🎛️ *Bridge commands*', '');
+    lines.push(...COMMAND_HELP.map(line => `${config.prefix}${line}`));
+    return lines.join('\n');
+}
 
-            // Get sender ID and convert to BigInt for comparison
-            const senderId = message.senderId;
-            const senderIdBigInt = typeof senderId === 'bigint' ? senderId : BigInt(senderId.toString());
+/**
+ * Forwarding state (pause and mutes), shown under every command reply
+ */
+function formatState() {
+    const lines = [];
+
+    const pausedSince = bridgeState.pausedSince();
+    const waiting = outbox.pendingCounts()[DIRECTION.TELEGRAM_TO_WHATSAPP] || 0;
+    if (pausedSince) {
+        lines.push(`⏸️ Forwarding: *paused* since ${formatTimestamp(pausedSince / 1000)} (${waiting} message(s) held)`);
+    } else {
+        lines.push('▶️ Forwarding: *on*');
+    }
 
-            // Check if sender is one of our configured friends
-            const isFriend = FRIEND_TELEGRAM_IDS.some(id => id === senderIdBigInt);
+    if (config.quietHours) {
+        const { start, end, timezone } = config.quietHours;
+        const active = isQuietTime(config.quietHours);
+        lines.push(`${active ? '🌙' : '☀️'} Quiet hours: ${formatClockTime(start)}-${formatClockTime(end)} (${timezone})` +
+            (active ? ' - *now*' : ''));
+    }
 
-            if (!isFriend) {
-                return; // Not from a configured friend, ignore
-            }
+    const mutes = bridgeState.getMutes();
+    if (mutes.length === 0) {
+        lines.push('🔔 Muted: nobody');
+    } else {
+        lines.push('🔇 Muted:');
+        for (const mute of mutes) {
+            const until = mute.until
+                ? `until ${formatTimestamp(mute.until / 1000)} (${formatDuration(mute.until - Date.now())} left)`
+                : 'until you unmute';
+            lines.push(`   • ${friendLabel(mute.chat_id)} - ${until}`);
+        }
+    }
 
-            // Get sender information
-            const sender = await message.getSender();
-            const senderName = sender.firstName + (sender.lastName ? ' ' + sender.lastName : '');
-            
-            // Get tag for this friend if available (using BigInt version)
-            const senderTag = FRIEND_ID_TO_TAG[senderIdBigInt.toString()];
-            const displayName = senderTag ? `${senderName} (${senderTag})` : senderName;
+    if (config.digest) {
+        const { all, chatIds, windowMs, urgentKeywords } = config.digest;
+        const who = all ? 'everyone' : [...chatIds].map(chatId => friendLabel(chatId)).join(', ');
+        lines.push(`🗞️ Digest: ${who} every ${formatDuration(windowMs)}` +
+            (urgentKeywords.length > 0 ? ` (urgent: ${urgentKeywords.join(', ')})` : ''));
+    }
 
-            console.log(`\n📥 [Telegram → WhatsApp] New message received!`);
-            console.log(`   From: ${displayName} (ID: ${senderIdBigInt})`);
-            console.log(`   Message: "${message.text.substring(0, 50)}${message.text.length > 50 ? '...' : ''}"`);
+    const chatMode = bridgeState.getChat();
+    if (chatMode && Date.now() < chatMode.until) {
+        lines.push(`💬 Chatting with: ${friendLabel(chatMode.chatId)} ` +
+            `(ends after ${formatDuration(chatMode.timeoutMs)} idle, ${formatDuration(chatMode.until - Date.now())} left)`);
+    }
 
-            // Format message for WhatsApp (include tag if available)
-            const messageHeader = senderTag 
-                ? `📨 TG | ${senderName} (${senderTag}):`
-                : `📨 TG | ${senderName}:`;
-            const forwardedMessage = `${messageHeader}\n${message.text}`;
+    const held = Object.entries(heldMessages.countByChat());
+    if (held.length > 0) {
+        lines.push(`📬 Held for the summary: ${held.map(([chatId, count]) => `${friendLabel(chatId)} (${count})`).join(', ')}`);
+    }
 
-            // Send to your WhatsApp
-            const whatsappNumber = YOUR_WHATSAPP_NUMBER + '@c.us';
-            await whatsappClient.sendMessage(whatsappNumber, forwardedMessage);
+    return lines.join('\n');
+}
 
-            console.log(`   ✅ Forwarded to WhatsApp`);
+function formatStatus() {
+    const pending = outbox.pendingCounts();
+    const toWhatsApp = pending[DIRECTION.TELEGRAM_TO_WHATSAPP] || 0;
+    const toTelegram = pending[DIRECTION.WHATSAPP_TO_TELEGRAM] || 0;
+
+    return [
+        '🌉 *Bridge status*',
+        '',
+        `📱 WhatsApp: ${whatsappReady ? '✅ connected' : '⚠️ not connected'}`,
+        `✈️ Telegram: ${telegramClient.connected ? '✅ connected' : '⚠️ not connected'}`,
+        `⏱️ Running for ${formatDuration(Date.now() - BRIDGE_STARTED_AT)}`,
+        `⚙️ Config: ${config.filePath ? path.basename(config.filePath) : '.env'}`,
+        `👥 ${config.friendIds.length} friend(s), ${config.groupIds.length} group(s)`,
+        toWhatsApp + toTelegram > 0
+            ? `📮 Queued: ${toWhatsApp} for WhatsApp, ${toTelegram} for Telegram`
+            : '📮 Queue: empty',
+        '',
+        formatState()
+    ].join('\n');
+}
 
-        } catch (error) {
-            console.error('❌ Error in Telegram → WhatsApp forwarding:', error.message);
+async function formatFriends() {
+    // One line per chat: tag, Telegram name, ID, where it goes on WhatsApp
+    const describe = async (id) => {
+        let name = null;
+        if (telegramClient.connected) {
+            const entity = await telegramClient.getEntity(id).catch(() => null);
+            name = entity ? getDisplayName(entity) : null;
         }
-    }, new NewMessage({}));
-}
+        const tag = config.tagsById[id.toString()];
+        const route = config.routes[id.toString()];
+        const muted = bridgeState.isMuted(id) ? ' 🔇' : '';
+        return `   • ${tag ? `*${tag}* - ` : ''}${name || 'unknown'} (${id})${muted}` +
+            (route ? `\n     → ${route}` : '');
+    };
+
+    const lines = ['👥 *Friends*'];
+    if (config.friendIds.length === 0) {
+        lines.push('   (none)');
+    }
+    for (const id of config.friendIds) {
+        lines.push(await describe(id));
+    }
 
-// ═══════════════════════════════════════════════════════════════
-// START THE BRIDGE
-// ═══════════════════════════════════════════════════════════════
+    if (config.groupIds.length > 0) {
+        lines.push('', '👥 *Groups & channels*');
+        for (const id of config.groupIds) {
+            lines.push(await describe(id));
+        }
+    }
 
-(async () => {
-    try {
-        // Start Telegram client
-        await telegramClient.connect();
-        await setupTelegramForwarding();
+    lines.push('', `💬 Send with ${config.prefix}tag message, or ${config.prefix}all for every friend`);
+    lines.push('', formatState());
+    return lines.join('\n');
+}
 
-        // Start WhatsApp client
-        await whatsappClient.initialize();
+function muteCommand([target, durationText]) {
+    const peerId = resolveCommandPeer(target);
+    if (!peerId) {
+        return `⚠️ Usage: ${config.prefix}/mute john [30m|2h|1d]\n` +
+            `Tags: ${Object.keys(config.tags).join(', ') || '(none)'}\n\n${formatState()}`;
+    }
 
-    } catch (error) {
+    let until = null;
+    if (durationText) {
+        const duration = parseDuration(durationText);
+        if (!duration) {
+            return `⚠️ Unknown duration "${durationText}" - use e.g. 30m, 2h, 1d or 1h30m\n\n${formatState()}`;
+        }
+        until = Date.now() + duration;
+    }
+
+    bridgeState.mute(peerId, until);
+    const muted = `Muted ${friendLabel(peerId)}${until ? ` for ${formatDuration(until - Date.now())}` : ''}`;
+    console.log(`   🔇 ${muted}`);
+
+    return `🔇 ${muted} - their messages are held and sent as one summary when the mute ends\n\n${formatState()}`;
+}
+
+async function unmuteCommand([target]) {
+    let reply;
+
+    if (!target || target.toLowerCase() === 'all') {
+        const count = bridgeState.unmuteAll();
+        console.log(`   🔔 Unmuted ${count} chat(s)`);
+        reply = `🔔 Unmuted ${count === 0 ? 'nobody (no one was muted)' : `${count} chat(s)`}`;
+    } else {
+        const peerId = resolveCommandPeer(target);
+        if (!peerId) {
+            return `⚠️ Unknown friend "${target}"\n\n${formatState()}`;
+        }
+
+        const wasMuted = bridgeState.unmute(peerId);
+        console.log(`   🔔 Unmuted ${friendLabel(peerId)}`);
+        reply = `🔔 ${wasMuted ? `Unmuted ${friendLabel(peerId)}` : `${friendLabel(peerId)} wasn't muted`}`;
+    }
+
+    // Their held messages go out now (unless it's quiet hours)
+    await releaseHeldMessages();
+    return `${reply}\n\n${formatState()}`;
+}
+
+function pauseCommand() {
+    bridgeState.pause();
+    console.log('   ⏸️  Forwarding paused');
+    return `⏸️ Paused - Telegram messages are held until ${config.prefix}/resume\n\n${formatState()}`;
+}
+
+function resumeCommand() {
+    const waiting = outbox.pendingCounts()[DIRECTION.TELEGRAM_TO_WHATSAPP] || 0;
+    bridgeState.resume();
+    outbox.flush();
+    console.log(`   ▶️  Forwarding resumed (${waiting} held message(s))`);
+    return `▶️ Resumed${waiting > 0 ? ` - delivering ${waiting} held message(s)` : ''}\n\n${formatState()}`;
+}
+
+function chatCommand([target, durationText], whatsappChatId) {
+    const peerId = resolveCommandPeer(target);
+    if (!peerId) {
+        return `⚠️ Usage: ${config.prefix}/chat john [30m|2h]\n` +
+            `Tags: ${Object.keys(config.tags).join(', ') || '(none)'}\n\n${formatState()}`;
+    }
+
+    const timeoutMs = durationText ? parseDuration(durationText) : CHAT_MODE_TIMEOUT_MS;
+    if (!timeoutMs) {
+        return `⚠️ Unknown duration "${durationText}" - use e.g. 30m, 2h, 1d or 1h30m\n\n${formatState()}`;
+    }
+
+    bridgeState.startChat(peerId, whatsappChatId, timeoutMs);
+    console.log(`   💬 Chatting with ${friendLabel(peerId)} (ends after ${formatDuration(timeoutMs)} idle)`);
+
+    return `Now chatting with ${friendLabel(peerId)}: everything you send in this chat goes to them, ` +
+        `no ${config.prefix} needed.\nIt ends with ${config.prefix}/end or after ${formatDuration(timeoutMs)} without a message.` +
+        `\n\n${formatState()}`;
+}
+
+function endCommand() {
+    const chat = bridgeState.endChat();
+    if (chat) {
+        console.log(`   💬 Stopped chatting with ${friendLabel(chat.chatId)}`);
+    }
+    return `${chat ? `👋 Stopped chatting with ${friendLabel(chat.chatId)}` : '👋 No chat to end'} - ` +
+        `messages need ${config.prefix}tag again\n\n${formatState()}`;
+}
+
+async function historyCommand([target, countText]) {
+    const peerId = resolveCommandPeer(target);
+    if (!peerId) {
+        return `⚠️ Usage: ${config.prefix}/history john [10]\n` +
+            `Tags: ${Object.keys(config.tags).join(', ') || '(none)'}`;
+    }
+    if (!telegramClient.connected) {
+        return '⚠️ Telegram is not connected right now';
+    }
+
+    const count = Math.min(Math.max(parseInt(countText) || 10, 1), HISTORY_MAX_MESSAGES);
+    const messages = (await telegramClient.getMessages(peerId, { limit: count })).reverse();
+
+    if (messages.length === 0) {
+        return `📜 No messages with ${friendLabel(peerId)} yet`;
+    }
+
+    const lines = [`📜 *Last ${messages.length} message(s) with ${friendLabel(peerId)}*`, ''];
+    for (const message of messages) {
+        let author = 'You';
+        if (!message.out) {
+            const sender = await message.getSender().catch(() => null);
+            author = sender ? getDisplayName(sender) : friendLabel(peerId);
+        }
+        const media = describeTelegramMedia(message) || describeTelegramContent(message);
+        let text = message.message || '';
+        if (text.length > 200) {
+            text = text.substring(0, 200) + '…';
+        }
+        const content = [media ? `[${media.label}]` : '', text].filter(part => part).join(' ') || '[message]';
+        lines.push(`[${formatTimestamp(message.date)}] *${author}:* ${content}`);
+    }
+
+    return lines.join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MESSAGE FORWARDING: TELEGRAM → WHATSAPP
+// ═══════════════════════════════════════════════════════════════
+
+// Telegram messages already forwarded ("chatId:messageId")
+const handledTelegramMessages = new DedupCache();
+
+// How long to wait for more items of an album after the last one arrived
+const ALBUM_WINDOW_MS = 1500;
+
+// Album items wait here until the whole album has arrived
+const albumBuffer = new AlbumBuffer(ALBUM_WINDOW_MS, (messages) => {
+    forwardTelegramAlbum(messages).catch((error) => {
+        console.error('❌ Error in Telegram → WhatsApp forwarding (album):', error.message);
+    });
+});
+
+/**
+ * Download a Telegram photo/video/file and send it to WhatsApp as real media
+ * The header (and caption) travel as the media caption where WhatsApp allows it.
+ * Files over WhatsApp's size limits are replaced by a notice instead.
+ * Each message is a step of the outbox job's progress. Returns the IDs
+ * of the WhatsApp message(s).
+ */
+async function forwardTelegramMedia(message, mediaInfo, whatsappChatId, captionText, quotedMessageId, progress) {
+    if (mediaInfo.size > mediaInfo.limit) {
+        console.log(`   ⚠️  ${mediaInfo.label} is too large for WhatsApp (${formatBytes(mediaInfo.size)} > ${formatBytes(mediaInfo.limit)})`);
+        return sendWhatsAppText(whatsappChatId, oversizeNotice(captionText, mediaInfo), quoteOptions(quotedMessageId),
+            progress.scope('notice'));
+    }
+
+    const sentIds = [];
+
+    // Audio, voice notes and stickers can't have a caption, so send the text first
+    if (!supportsCaption(mediaInfo) && captionText) {
+        sentIds.push(...await sendWhatsAppText(whatsappChatId, captionText, quoteOptions(quotedMessageId),
+            progress.scope('text')));
+    }
+
+    // A caption over WhatsApp's limit continues in texts after the media
+    const [caption, ...overflow] = supportsCaption(mediaInfo)
+        ? splitMessage(captionText, WHATSAPP_TEXT_LIMIT, WHATSAPP_CAPTION_LIMIT)
+        : [captionText];
+
+    sentIds.push(await progress.step('media', async () => {
+        const sent = await sendTelegramFileToWhatsApp(message, mediaInfo, whatsappChatId, caption, quotedMessageId);
+        return sent.id._serialized;
+    }));
+    for (const [index, part] of overflow.entries()) {
+        sentIds.push(await progress.step(`overflow:${index}`, async () => {
+            const sent = await sendWhatsAppMessage(whatsappChatId, part);
+            return sent.id._serialized;
+        }));
+    }
+    return sentIds;
+}
+
+/**
+ * Download one Telegram file and send it to WhatsApp (see forwardTelegramMedia())
+ * Returns the WhatsApp message.
+ */
+async function sendTelegramFileToWhatsApp(message, mediaInfo, whatsappChatId, caption, quotedMessageId) {
+    let buffer = await telegramClient.downloadMedia(message);
+    if (!buffer || buffer.length === 0) {
+        throw new Error(`Could not download ${mediaInfo.kind} from Telegram`);
+    }
+
+    // Voice messages go out as WhatsApp voice notes, which must be OGG/Opus
+    if (mediaInfo.kind === 'voice' && needsTranscoding(mediaInfo.mimetype)) {
+        try {
+            buffer = await transcodeToVoice(buffer);
+            mediaInfo = { ...mediaInfo, mimetype: VOICE_MIMETYPE, filename: `voice-${message.id}.ogg` };
+        } catch (error) {
+            console.log(`   ⚠️  Could not convert the voice message (${error.message}), sending it as audio`);
+            mediaInfo = { ...mediaInfo, kind: 'audio' };
+        }
+    }
+
+    const media = toWhatsAppMedia(mediaInfo, buffer);
+    const options = {
+        ...whatsAppSendOptions(mediaInfo, caption),
+        ...(supportsCaption(mediaInfo) ? quoteOptions(quotedMessageId) : {})
+    };
+
+    // Video stickers are converted by whatsapp-web.js, which needs ffmpeg
+    if (mediaInfo.kind === 'sticker') {
+        try {
+            return await sendWhatsAppMessage(whatsappChatId, media, options);
+        } catch (error) {
+            console.log(`   ⚠️  Could not send the sticker (${error.message}), describing it instead`);
+            return sendWhatsAppMessage(whatsappChatId, `${mediaInfo.label} (open Telegram to see it)`);
+        }
+    }
+
+    return sendWhatsAppMessage(whatsappChatId, media, options);
+}
+
+/**
+ * The line(s) describing Telegram content that can't be sent to WhatsApp
+ * as it is (dice, games, closed polls...), added to the forwarded text
+ * Locations, contacts and open polls are sent as their own message.
+ */
+function describedContent(content) {
+    if (!content || content.sendable) {
+        return null;
+    }
+    return content.description || content.label;
+}
+
+/**
+ * sendMessage() options to quote a WhatsApp message, if there is one
+ */
+function quoteOptions(quotedMessageId) {
+    return quotedMessageId ? { quotedMessageId } : {};
+}
+
+// Longest snippet of the original shown above a reply
+const REPLY_SNIPPET_LENGTH = 80;
+
+/**
+ * Work out what a Telegram reply answers, for its WhatsApp copy
+ *
+ * - The original was bridged into the same WhatsApp chat (a forwarded
+ *   message, or one of our tg: messages): { quotedMessageId } so the
+ *   copy is sent as a native WhatsApp quoted reply
+ * - Otherwise: { snippet }, a "> ↩️ Name: text..." line for the copy
+ *
+ * Returns {} when the message isn't a reply (or the original is gone).
+ */
+async function resolveReplyContext(message, whatsappChatId) {
+    const replyTo = message.replyTo;
+    // In forum topics every message "replies" to the topic itself
+    if (!replyTo || !replyTo.replyToMsgId || (replyTo.forumTopic && !replyTo.replyToTopId)) {
+        return {};
+    }
+
+    const chatId = message.chatId.toString();
+    const originalId = replyTo.replyToMsgId;
+
+    const forwarded = messageStore.findBySource(DIRECTION.TELEGRAM_TO_WHATSAPP, chatId, originalId)
+        .find(row => row.status === STATUS.DELIVERED && row.destination_chat_id === whatsappChatId);
+    if (forwarded) {
+        return { quotedMessageId: forwarded.destination_message_id };
+    }
+
+    const peerId = getPeerId(message.peerId);
+    const sent = messageStore.findByDestination(DIRECTION.WHATSAPP_TO_TELEGRAM, originalId)
+        .find(row => row.destination_chat_id === peerId && row.status === STATUS.DELIVERED && row.source_chat_id === whatsappChatId);
+    if (sent) {
+        return { quotedMessageId: sent.source_message_id };
+    }
+
+    const original = await message.getReplyMessage().catch(() => null);
+    if (!original) {
+        return {};
+    }
+
+    let author = 'You';
+    if (!original.out) {
+        const sender = await original.getSender().catch(() => null);
+        author = (sender && getDisplayName(sender)) || (original.postAuthor || 'Unknown');
+    }
+
+    const media = describeTelegramMedia(original) || describeTelegramContent(original);
+    let text = (original.message || '').replace(/\s+/g, ' ').trim();
+    if (text.length > REPLY_SNIPPET_LENGTH) {
+        text = text.substring(0, REPLY_SNIPPET_LENGTH) + '…';
+    }
+    const content = [media ? `[${media.label}]` : '', text].filter(part => part).join(' ') || '[message]';
+    return { snippet: `> ↩️ *${author}*: ${content}` };
+}
+
+/**
+ * The text sent instead of a file that is too large for WhatsApp
+ */
+function oversizeNotice(captionText, mediaInfo) {
+    const notice = `⚠️ ${mediaInfo.label} "${mediaInfo.filename}" (${formatBytes(mediaInfo.size)}) ` +
+        `is over WhatsApp's ${formatBytes(mediaInfo.limit)} limit. Open Telegram to see it.`;
+    return captionText ? `${captionText}\n\n${notice}` : notice;
+}
+
+/**
+ * Listen for new messages on Telegram
+ * When a message is from a configured friend, forward it to WhatsApp
+ * (text, photos, videos, audio, files, stickers, locations, contacts, polls...)
+ */
+async function setupTelegramForwarding() {
+    // Get your own Telegram info (for logging)
+    const me = await telegramClient.getMe();
+    console.log('✅ Telegram client ready!');
+    console.log('   Connected as:', me.firstName, me.lastName || '');
+    console.log('   Username:', me.username ? '@' + me.username : '(no username)');
+
+    console.log('\n' + '═'.repeat(70));
+    console.log('🎉 BRIDGE IS ACTIVE!');
+    console.log('═'.repeat(70));
+    console.log('\n📨 Forwarding Configuration:');
+    console.log('   Telegram → WhatsApp: Messages from ' + config.friendIds.length + ' friend(s)' +
+        (config.groupIds.length > 0 ? ' and ' + config.groupIds.length + ' group(s)/channel(s)' : ''));
+    console.log('   WhatsApp → Telegram: Messages starting with "' + config.prefix + '"');
+
+    // Listen for new messages
+    telegramClient.addEventHandler(async (event) => {
+        try {
+            const message = event.message;
+
+            // Ignore events without a message object
+            if (!message) {
+                return;
+            }
+
+            // Album items are collected and forwarded together
+            if (message.groupedId) {
+                albumBuffer.add(message);
+                return;
+            }
+
+            await forwardTelegramMessage(message);
+
+        } catch (error) {
+            console.error('❌ Error in Telegram → WhatsApp forwarding:', error.message);
+        }
+    }, new NewMessage({}));
+
+    // Listen for edits of messages we already forwarded
+    telegramClient.addEventHandler(async (event) => {
+        try {
+            if (event.message) {
+                await mirrorTelegramEdit(event.message);
+            }
+        } catch (error) {
+            console.error('❌ Error mirroring Telegram edit:', error.message);
+        }
+    }, new EditedMessage({}));
+
+    // Listen for deletions of messages we already forwarded
+    telegramClient.addEventHandler(async (event) => {
+        try {
+            await mirrorTelegramDeletion(event);
+        } catch (error) {
+            console.error('❌ Error mirroring Telegram deletion:', error.message);
+        }
+    }, new DeletedMessage({}));
+
+    // Listen for friends' reactions to our messages
+    telegramClient.addEventHandler(async (update) => {
+        try {
+            await mirrorTelegramReaction(update);
+        } catch (error) {
+            console.error('❌ Error mirroring Telegram reaction:', error.message);
+        }
+    }, new Raw({ types: [Api.UpdateMessageReactions] }));
+
+    // Listen for friends typing (only used for chats that opted in)
+    telegramClient.addEventHandler(async (update) => {
+        try {
+            await mirrorTelegramTyping(update);
+        } catch (error) {
+            console.error('❌ Error mirroring Telegram typing:', error.message);
+        }
+    }, new Raw({ types: [Api.UpdateUserTyping, Api.UpdateChatUserTyping, Api.UpdateChannelUserTyping] }));
+}
+
+/**
+ * Work out whether a Telegram message comes from a bridged source
+ *
+ * - Private chat with a configured friend: "John Smith (john)"
+ * - Configured group: "Family (family) | John Smith" (chat title + member)
+ * - Configured channel: "News" or "News | Author" for signed posts
+ *
+ * Returns { chatId, displayName } or null if the chat isn't bridged.
+ */
+async function describeTelegramSource(message) {
+    const chatId = BigInt(message.chatId.toString());
+    const tag = config.tagsById[chatId.toString()];
+    const tagSuffix = tag ? ` (${tag})` : '';
+
+    if (message.isPrivate) {
+        if (!config.friendIds.some(id => id === chatId)) {
+            return null;
+        }
+        const sender = await message.getSender();
+        return { chatId, displayName: `${getDisplayName(sender)}${tagSuffix}` };
+    }
+
+    if (!config.groupIds.some(id => id === chatId)) {
+        return null;
+    }
+
+    const chat = await message.getChat();
+    const chatTitle = `${(chat && chat.title) || chatId.toString()}${tagSuffix}`;
+
+    // Channel posts have no member, at most the author's signature
+    if (message.post) {
+        return { chatId, displayName: message.postAuthor ? `${chatTitle} | ${message.postAuthor}` : chatTitle };
+    }
+
+    const sender = await message.getSender();
+    const memberName = (sender && getDisplayName(sender)) || 'Unknown member';
+    return { chatId, displayName: `${chatTitle} | ${memberName}` };
+}
+
+/**
+ * Forward one Telegram message to WhatsApp if it comes from a configured
+ * friend, group or channel
+ *
+ * options.delayed: the message was missed while the bridge was down -
+ *                  it is marked as delayed and shows its original time
+ */
+async function forwardTelegramMessage(message, { delayed = false } = {}) {
+    // Ignore messages with no text, file, location, poll etc.
+    // message.message is the raw text; its bold, links etc. are entities
+    const mediaInfo = describeTelegramMedia(message);
+    const content = mediaInfo ? null : describeTelegramContent(message);
+    const text = telegramToWhatsApp(message.message, message.entities);
+    if (!text && !mediaInfo && !content) {
+        return;
+    }
+
+    // Our own messages (e.g. tg: messages sent into a bridged group) stay put
+    if (message.out) {
+        return;
+    }
+
+    const source = await describeTelegramSource(message);
+    if (!source) {
+        return; // Not from a configured friend or group, ignore
+    }
+    const { displayName } = source;
+
+    console.log(`\n📥 [Telegram → WhatsApp] ${delayed ? 'Missed message found!' : 'New message received!'}`);
+    console.log(`   From: ${displayName} (ID: ${source.chatId})`);
+    if (mediaInfo) {
+        console.log(`   Media: ${mediaInfo.label} (${formatBytes(mediaInfo.size)}${mediaInfo.duration ? `, ${mediaInfo.duration}s` : ''})`);
+    }
+    if (content) {
+        console.log(`   Content: ${content.label}`);
+    }
+    if (text) {
+        console.log(`   Message: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+    }
+
+    // Send to your WhatsApp, or the chat routed for this friend (through
+    // the outbox, so nothing is lost while WhatsApp is starting up or reconnecting)
+    const whatsappChatId = whatsappChatFor(source.chatId);
+
+    // A reply: quote our copy of the original, or show a snippet of it
+    const replyContext = await resolveReplyContext(message, whatsappChatId);
+    const forwardedMessage = forwardedBody({
+        displayName,
+        date: message.date,
+        delayed,
+        snippet: replyContext.snippet,
+        text,
+        content
+    });
+
+    // gramjs can deliver the same update again after a reconnect, and
+    // catch-up may overlap with live messages - forward each one once
+    const eventKey = `${message.chatId}:${message.id}`;
+    if (handledTelegramMessages.seen(eventKey) ||
+        messageStore.isBridged(DIRECTION.TELEGRAM_TO_WHATSAPP, message.chatId, message.id)) {
+        console.log(`   ⏭️  Already forwarded, skipping`);
+        return;
+    }
+
+    const holdReason = telegramHoldReason(source.chatId, text);
+    if (holdReason) {
+        // Files, locations, contacts and polls follow the summary; other
+        // content (dice, closed polls...) is described in its text
+        const sendable = content && content.sendable ? content : null;
+        holdTelegramMessage(message, {
+            source,
+            whatsappChatId,
+            text: [text, describedContent(content)].filter(part => part).join('\n'),
+            mediaLabel: (mediaInfo || sendable) ? (mediaInfo || sendable).label : null,
+            hasMedia: Boolean(mediaInfo),
+            content: sendable,
+            reason: holdReason
+        });
+        console.log(`   ${HOLD_LOG_LABELS[holdReason]} - held for the summary`);
+        return;
+    }
+
+    const recordId = messageStore.recordPending({
+        direction: DIRECTION.TELEGRAM_TO_WHATSAPP,
+        sourceChatId: message.chatId,
+        sourceMessageId: message.id,
+        sourceTimestamp: message.date,
+        delayed,
+        destinationChatId: whatsappChatId
+    });
+
+    const result = await outbox.send(DIRECTION.TELEGRAM_TO_WHATSAPP, {
+        recordId,
+        chatId: message.chatId.toString(),
+        messageId: message.id,
+        whatsappChatId,
+        hasMedia: Boolean(mediaInfo),
+        content: content && content.sendable ? content : null,
+        senderName: displayName,
+        quotedMessageId: replyContext.quotedMessageId,
+        text: forwardedMessage
+    }, { message });
+
+    logForwardResult(result);
+}
+
+/**
+ * The text forwarded to WhatsApp for a Telegram message: the header (with
+ * the original time if it arrives late), the reply snippet, the text and
+ * a description of content WhatsApp can't show
+ *
+ * Forwards and edits both build it here, so an edit keeps everything
+ * the forward had.
+ */
+function forwardedBody({ displayName, date, delayed = false, snippet = null, text = null, content = null }) {
+    let header = formatHeader(config, displayName);
+    if (delayed) {
+        header += `\n⏰ Delayed - sent ${formatTimestamp(date)}`;
+    }
+    return [header, snippet, text, describedContent(content)].filter(part => part).join('\n');
+}
+
+/**
+ * Why a Telegram message should be held for a summary, or null
+ * Muted (tg:/mute) or quiet hours hold everything; digest mode batches
+ * messages too, unless they look urgent.
+ */
+function telegramHoldReason(chatId, text) {
+    return bridgeState.isMuted(chatId) ? HOLD_REASON.MUTED
+        : isQuietTime(config.quietHours) ? HOLD_REASON.QUIET_HOURS
+        : isDigested(chatId, text) ? HOLD_REASON.DIGEST
+        : null;
+}
+
+/**
+ * Hold a Telegram message for the next summary instead of forwarding it
+ */
+function holdTelegramMessage(message, { source, whatsappChatId, text, mediaLabel, hasMedia = false, content = null, reason }) {
+    const recordId = messageStore.recordHeld({
+        direction: DIRECTION.TELEGRAM_TO_WHATSAPP,
+        sourceChatId: message.chatId,
+        sourceMessageId: message.id,
+        sourceTimestamp: message.date,
+        destinationChatId: whatsappChatId
+    }, reason);
+
+    heldMessages.hold({
+        recordId,
+        chatId: source.chatId,
+        messageId: message.id,
+        whatsappChatId,
+        senderName: source.displayName,
+        text: text || null,
+        mediaLabel,
+        hasMedia,
+        content,
+        sourceTimestamp: message.date,
+        reason
+    });
+}
+
+/**
+ * Log what happened to a message handed to the outbox
+ */
+function logForwardResult(result) {
+    if (result.delivered) {
+        console.log(`   ✅ Forwarded to WhatsApp`);
+    } else if (result.queued) {
+        console.log(`   ⏳ Queued for WhatsApp${result.error ? ` (${result.error.message})` : ' (not ready yet)'}`);
+    } else {
+        console.error(`   ❌ Could not forward to WhatsApp:`, result.error.message);
+    }
+}
+
+/**
+ * Forward a Telegram album (several photos/videos sent at once, which
+ * arrive as messages sharing a groupedId) as one post: a single header
+ * with the album's caption, then the items right after each other, so
+ * WhatsApp shows them together
+ *
+ * Each item keeps its own row in the message store, so replies,
+ * reactions and deletions still work per photo.
+ *
+ * options.delayed: as for forwardTelegramMessage()
+ */
+async function forwardTelegramAlbum(messages, { delayed = false } = {}) {
+    // Only one item arrived (or was missed): nothing to group
+    if (messages.length === 1) {
+        return forwardTelegramMessage(messages[0], { delayed });
+    }
+
+    const first = messages[0];
+    if (first.out) {
+        return;
+    }
+
+    const source = await describeTelegramSource(first);
+    if (!source) {
+        return;
+    }
+    const { displayName } = source;
+
+    // Telegram puts the caption on one of the items (usually the first)
+    const captionMessage = messages.find(message => message.message) || first;
+    const text = telegramToWhatsApp(captionMessage.message, captionMessage.entities);
+    const items = messages.map(message => ({ message, mediaInfo: describeTelegramMedia(message) }));
+
+    console.log(`\n📥 [Telegram → WhatsApp] ${delayed ? 'Missed album found!' : 'New album received!'}`);
+    console.log(`   From: ${displayName} (ID: ${source.chatId})`);
+    console.log(`   Album: ${items.length} item(s) - ${items.map(item => item.mediaInfo ? item.mediaInfo.label : '?').join(', ')}`);
+    if (text) {
+        console.log(`   Caption: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+    }
+
+    // Items already forwarded (a repeated update, or catch-up overlapping
+    // with live messages) are left out
+    const pending = items.filter(({ message }) =>
+        !handledTelegramMessages.seen(`${message.chatId}:${message.id}`) &&
+        !messageStore.isBridged(DIRECTION.TELEGRAM_TO_WHATSAPP, message.chatId, message.id));
+    if (pending.length === 0) {
+        console.log(`   ⏭️  Already forwarded, skipping`);
+        return;
+    }
+
+    const whatsappChatId = whatsappChatFor(source.chatId);
+    const replyContext = await resolveReplyContext(captionMessage, whatsappChatId);
+    const forwardedMessage = forwardedBody({
+        displayName,
+        date: first.date,
+        delayed,
+        snippet: replyContext.snippet,
+        text
+    });
+
+    const holdReason = telegramHoldReason(source.chatId, text);
+    if (holdReason) {
+        // Each item is listed in the summary and forwarded after it
+        for (const { message, mediaInfo } of pending) {
+            holdTelegramMessage(message, {
+                source,
+                whatsappChatId,
+                text: message === captionMessage ? text : null,
+                mediaLabel: mediaInfo ? mediaInfo.label : null,
+                hasMedia: Boolean(mediaInfo),
+                reason: holdReason
+            });
+        }
+        console.log(`   ${HOLD_LOG_LABELS[holdReason]} - held for the summary`);
+        return;
+    }
+
+    const album = pending.map(({ message }) => ({
+        messageId: message.id,
+        recordId: messageStore.recordPending({
+            direction: DIRECTION.TELEGRAM_TO_WHATSAPP,
+            sourceChatId: message.chatId,
+            sourceMessageId: message.id,
+            sourceTimestamp: message.date,
+            delayed,
+            destinationChatId: whatsappChatId
+        })
+    }));
+
+    const result = await outbox.send(DIRECTION.TELEGRAM_TO_WHATSAPP, {
+        recordId: album[0].recordId,
+        chatId: first.chatId.toString(),
+        messageId: album[0].messageId,
+        whatsappChatId,
+        hasMedia: true,
+        album,
+        senderName: displayName,
+        quotedMessageId: replyContext.quotedMessageId,
+        text: forwardedMessage
+    }, { album: pending.map(({ message }) => message) });
+
+    logForwardResult(result);
+}
+
+/**
+ * Send a Telegram album to WhatsApp: the header and caption, then each
+ * item without a caption (WhatsApp groups media sent back to back)
+ * Returns the IDs of the WhatsApp messages sent for each item; the
+ * header counts as part of the first one.
+ */
+async function sendTelegramAlbum(messages, whatsappChatId, captionText, quotedMessageId, progress) {
+    const sent = messages.map(() => []);
+    sent[0].push(...await sendWhatsAppText(whatsappChatId, captionText, quoteOptions(quotedMessageId),
+        progress.scope('header')));
+
+    for (const [index, message] of messages.entries()) {
+        const mediaInfo = describeTelegramMedia(message);
+        if (mediaInfo) {
+            sent[index].push(...await forwardTelegramMedia(message, mediaInfo, whatsappChatId, '', null,
+                progress.scope(`item:${message.id}`)));
+        }
+    }
+    return sent;
+}
+
+/**
+ * Outbox handler: deliver a queued Telegram message to WhatsApp
+ *
+ * Text (and a location, contact or poll) is stored with the job. For
+ * media the original gramjs message (or an album's messages) is kept in
+ * memory, or fetched again from Telegram after a restart.
+ */
+outbox.register(DIRECTION.TELEGRAM_TO_WHATSAPP, {
+    lane: (payload) => payload.chatId,
+
+    // Paused (tg:/pause): messages wait here until tg:/resume
+    isReady: (payload) => whatsappReady && !bridgeState.isPaused() &&
+        (!payload.hasMedia || telegramClient.connected),
+
+    async deliver(payload, context, job) {
+        const progress = outbox.progress(job, payload);
+
+        if (payload.album) {
+            await deliverTelegramAlbum(payload, context, progress);
+            lastTypingSent.delete(payload.chatId);
+            return;
+        }
+
+        const sentIds = await sendTelegramMessageToWhatsApp(payload, context, progress);
+
+        // Sending ends "typing…", so the friend's next typing shows right away
+        lastTypingSent.delete(payload.chatId);
+
+        messageStore.markDelivered(payload.recordId, sentIds);
+    },
+
+    onDelivered(payload, job) {
+        if (job.queued) {
+            console.log(`✅ Queued message from ${payload.senderName} delivered to WhatsApp`);
+        }
+    },
+
+    async onGiveUp(payload, error, job) {
+        for (const recordId of payload.album ? payload.album.map(item => item.recordId) : [payload.recordId]) {
+            messageStore.markFailed(recordId, error);
+        }
+
+        // WhatsApp is what's failing, so report it on Telegram (Saved Messages)
+        if (telegramClient.connected) {
+            await telegramClient.sendMessage('me', {
+                message: `⚠️ Bridge: could not forward a message from ${payload.senderName} to WhatsApp ` +
+                    `after ${job.attempts} attempt(s): ${error.message}`
+            });
+        }
+    }
+});
+
+/**
+ * Send one queued Telegram message (not an album) to WhatsApp: its text,
+ * file, location, contact or poll. Returns the IDs of the WhatsApp messages.
+ */
+async function sendTelegramMessageToWhatsApp(payload, context, progress) {
+    if (payload.hasMedia) {
+        let message = context && context.message;
+        if (!message) {
+            [message] = await telegramClient.getMessages(BigInt(payload.chatId), { ids: [payload.messageId] });
+            if (!message) {
+                const error = new Error('Message is no longer available on Telegram');
+                error.deletedOnTelegram = true;
+                throw error;
+            }
+        }
+        return forwardTelegramMedia(message, describeTelegramMedia(message), payload.whatsappChatId, payload.text,
+            payload.quotedMessageId, progress);
+    }
+
+    if (payload.content) {
+        // The header first, then the location, contact card or poll
+        const { content, options } = toWhatsAppContent(payload.content);
+        return [
+            ...await sendWhatsAppText(payload.whatsappChatId, payload.text, quoteOptions(payload.quotedMessageId),
+                progress.scope('text')),
+            await progress.step('content', async () => {
+                const sent = await sendWhatsAppMessage(payload.whatsappChatId, content, options);
+                return sent.id._serialized;
+            })
+        ];
+    }
+
+    return sendWhatsAppText(payload.whatsappChatId, payload.text, quoteOptions(payload.quotedMessageId), progress);
+}
+
+/**
+ * Deliver a queued album (see forwardTelegramAlbum())
+ * Items deleted on Telegram in the meantime are left out.
+ */
+async function deliverTelegramAlbum(payload, context, progress) {
+    let messages = context && context.album;
+    if (!messages) {
+        messages = await telegramClient.getMessages(BigInt(payload.chatId), {
+            ids: payload.album.map(item => item.messageId)
+        });
+    }
+
+    const items = payload.album
+        .map(item => ({ ...item, message: messages.find(message => message && message.id === item.messageId) }))
+        .filter(item => item.message);
+    if (items.length === 0) {
+        throw new Error('Album is no longer available on Telegram');
+    }
+
+    const sent = await sendTelegramAlbum(items.map(item => item.message), payload.whatsappChatId, payload.text,
+        payload.quotedMessageId, progress);
+
+    for (const item of payload.album) {
+        const index = items.findIndex(delivered => delivered.recordId === item.recordId);
+        if (index === -1) {
+            messageStore.markFailed(item.recordId, new Error('Deleted on Telegram before it was forwarded'));
+        } else {
+            messageStore.markDelivered(item.recordId, sent[index]);
+        }
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TELEGRAM EDITS → WHATSAPP
+// ═══════════════════════════════════════════════════════════════
+
+// Outbox job kind for edits of forwarded Telegram messages
+const TELEGRAM_EDIT_JOB = 'telegram_edit';
+
+/**
+ * Reflect the edit of a Telegram message on its WhatsApp copy
+ *
+ * Messages still held for a summary just get their new text. Otherwise
+ * the WhatsApp copy is edited in place, or - when WhatsApp won't allow
+ * that (older than 15 minutes, part of a summary...) - a
+ * "✏️ edited:" follow-up is sent quoting it.
+ */
+async function mirrorTelegramEdit(message) {
+    // Link previews loading, reactions, etc. also arrive as hidden edits
+    if (message.out || message.editHide) {
+        return;
+    }
+
+    const records = messageStore.findBySource(DIRECTION.TELEGRAM_TO_WHATSAPP, message.chatId, message.id)
+        .filter(record => record.status !== STATUS.FAILED && record.status !== STATUS.DELETED);
+    if (records.length === 0) {
+        return; // Never forwarded (or already deleted), nothing to update
+    }
+
+    const source = await describeTelegramSource(message);
+    if (!source) {
+        return;
+    }
+
+    const text = telegramToWhatsApp(message.message, message.entities);
+    console.log(`\n✏️  [Telegram → WhatsApp] Message edited by ${source.displayName}`);
+    if (text) {
+        console.log(`   New text: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+    }
+
+    if (heldMessages.updateText(source.chatId, message.id, text || null)) {
+        console.log(`   📬 Still held - the summary will show the new text`);
+        return;
+    }
+
+    const header = formatHeader(config, source.displayName);
+    const mediaInfo = describeTelegramMedia(message);
+    const { snippet } = await resolveReplyContext(message, records[0].destination_chat_id);
+    let forwardedMessage = forwardedBody({
+        displayName: source.displayName,
+        date: message.date,
+        delayed: records.some(record => record.delayed),
+        snippet,
+        text,
+        content: mediaInfo ? null : describeTelegramContent(message)
+    });
+    if (mediaInfo && mediaInfo.size > mediaInfo.limit) {
+        forwardedMessage = oversizeNotice(forwardedMessage, mediaInfo);
+    }
+
+    const result = await outbox.send(TELEGRAM_EDIT_JOB, {
+        chatId: message.chatId.toString(),
+        messageId: message.id,
+        whatsappChatId: records[0].destination_chat_id,
+        senderName: source.displayName,
+        header,
+        text,
+        forwardedMessage
+    });
+
+    if (result.queued) {
+        console.log(`   ⏳ Edit queued for WhatsApp${result.error ? ` (${result.error.message})` : ' (not ready yet)'}`);
+    } else if (!result.delivered) {
+        console.error(`   ❌ Could not mirror the edit:`, result.error.message);
+    }
+}
+
+/**
+ * Outbox handler: apply a Telegram edit to the WhatsApp copy
+ */
+outbox.register(TELEGRAM_EDIT_JOB, {
+    lane: (payload) => payload.chatId,
+
+    isReady: () => whatsappReady && !bridgeState.isPaused(),
+
+    async deliver(payload) {
+        const records = messageStore.findBySource(DIRECTION.TELEGRAM_TO_WHATSAPP, payload.chatId, payload.messageId);
+        const delivered = records.find(record => record.status === STATUS.DELIVERED && record.destination_message_id);
+        if (!delivered) {
+            if (records.some(record => record.status === STATUS.PENDING || record.status === STATUS.HELD)) {
+                throw new Error('The original message is not on WhatsApp yet');
+            }
+            return; // Forwarding it failed, there is nothing to edit
+        }
+
+        const original = await whatsappClient.getMessageById(delivered.destination_message_id);
+        if (original && original.body === payload.forwardedMessage) {
+            return; // Nothing visible changed
+        }
+
+        // Only edit our own forward (its text starts with the header),
+        // not a summary that includes this message among others
+        if (original && original.body.startsWith(payload.header) && await original.edit(payload.forwardedMessage)) {
+            console.log(`   ✅ Edited the WhatsApp copy of ${payload.senderName}'s message`);
+            return;
+        }
+
+        const followUp = original
+            ? `✏️ edited:\n${payload.text || '(no text)'}`
+            : `${payload.header} ✏️ edited:\n${payload.text || '(no text)'}`;
+        const sent = await sendWhatsAppMessage(payload.whatsappChatId, followUp,
+            original ? { quotedMessageId: original.id._serialized } : {});
+
+        // Quote-replies to the follow-up reach the friend too
+        const recordId = messageStore.recordPending({
+            direction: DIRECTION.TELEGRAM_TO_WHATSAPP,
+            sourceChatId: payload.chatId,
+            sourceMessageId: payload.messageId,
+            destinationChatId: payload.whatsappChatId
+        });
+        messageStore.markDelivered(recordId, sent.id._serialized);
+        console.log(`   ✅ Sent the edit of ${payload.senderName}'s message as a follow-up`);
+    },
+
+    onGiveUp(payload, error) {
+        console.error(`❌ Could not mirror an edit from ${payload.senderName} on WhatsApp:`, error.message);
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// DELETIONS (BOTH DIRECTIONS)
+// ═══════════════════════════════════════════════════════════════
+
+// Outbox job kind for deletions of bridged messages
+const DELETION_JOB = 'deletion';
+
+/**
+ * The Telegram chat a bridged message belongs to - its deletion policy
+ * (delete / mark / ignore, see config "deletions") is looked up by it
+ */
+function telegramChatOf(record) {
+    return record.direction === DIRECTION.TELEGRAM_TO_WHATSAPP ? record.source_chat_id : record.destination_chat_id;
+}
+
+/**
+ * Copies of a source message that can still be deleted
+ */
+function liveRecords(direction, chatId, messageId) {
+    return messageStore.findBySource(direction, chatId, messageId)
+        .filter(record => record.status !== STATUS.FAILED && record.status !== STATUS.DELETED);
+}
+
+/**
+ * A friend deleted Telegram messages: apply the policy to their WhatsApp copies
+ *
+ * Channels and supergroups say which chat the messages were in. Private
+ * chats and small groups only give the message IDs, which are unique
+ * across all of those chats.
+ */
+async function mirrorTelegramDeletion(event) {
+    const channelId = event.peer ? getPeerId(event.peer) : null;
+
+    for (const messageId of event.deletedIds || []) {
+        const records = channelId
+            ? liveRecords(DIRECTION.TELEGRAM_TO_WHATSAPP, channelId, messageId)
+            : messageStore.findBySourceMessageId(DIRECTION.TELEGRAM_TO_WHATSAPP, messageId)
+                .filter(record => !record.source_chat_id.startsWith('-100'))
+                .filter(record => record.status !== STATUS.FAILED && record.status !== STATUS.DELETED);
+        if (records.length === 0) {
+            continue; // Never forwarded
+        }
+
+        const chatId = records[0].source_chat_id;
+        const policy = deletionPolicyFor(config, chatId);
+        console.log(`\n🗑️  [Telegram → WhatsApp] Message deleted in ${friendLabel(chatId)} (policy: ${policy})`);
+        if (policy === 'ignore') {
+            continue;
+        }
+
+        // Still held for a summary: drop it there, or flag it there
+        const held = policy === 'delete'
+            ? heldMessages.remove(chatId, messageId)
+            : heldMessages.markDeleted(chatId, messageId);
+        if (held) {
+            if (policy === 'delete') {
+                messageStore.markDeleted(DIRECTION.TELEGRAM_TO_WHATSAPP, chatId, messageId);
+            }
+            console.log(`   📬 Still held - ${policy === 'delete' ? 'removed from' : 'marked as deleted in'} the summary`);
+            continue;
+        }
+
+        await queueDeletion(DIRECTION.TELEGRAM_TO_WHATSAPP, chatId, messageId);
+    }
+}
+
+/**
+ * We deleted a tg: message on WhatsApp for everyone: apply the policy to
+ * its Telegram copies
+ */
+async function mirrorWhatsAppDeletion(revoked, before) {
+    const chatId = revoked.fromMe ? revoked.to : revoked.from;
+    const messageIds = [revoked.id._serialized, before && before.id._serialized].filter(id => id);
+
+    for (const messageId of new Set(messageIds)) {
+        const records = liveRecords(DIRECTION.WHATSAPP_TO_TELEGRAM, chatId, messageId);
+        if (records.length === 0) {
+            continue; // Not a bridged message
+        }
+
+        const policies = records.map(record => deletionPolicyFor(config, telegramChatOf(record)));
+        console.log(`\n🗑️  [WhatsApp → Telegram] Message deleted (policy: ${[...new Set(policies)].join(', ')})`);
+        if (policies.every(policy => policy === 'ignore')) {
+            continue;
+        }
+
+        await queueDeletion(DIRECTION.WHATSAPP_TO_TELEGRAM, chatId, messageId);
+    }
+}
+
+async function queueDeletion(direction, chatId, messageId) {
+    const result = await outbox.send(DELETION_JOB, { direction, chatId: String(chatId), messageId: String(messageId) });
+    if (result.queued) {
+        console.log(`   ⏳ Deletion queued${result.error ? ` (${result.error.message})` : ' (not ready yet)'}`);
+    } else if (!result.delivered) {
+        console.error(`   ❌ Could not mirror the deletion:`, result.error.message);
+    }
+}
+
+/**
+ * Delete or mark the WhatsApp copies of a deleted Telegram message
+ *
+ * A summary of held messages is only deleted if this was the only
+ * message in it - otherwise it is marked, so the others stay readable.
+ */
+async function applyDeletionOnWhatsApp(payload, copies, policy) {
+    const whatsappChatId = copies[0].destination_chat_id;
+    const shared = copies.some(copy => messageStore.findByDestination(DIRECTION.TELEGRAM_TO_WHATSAPP, copy.destination_message_id)
+        .some(row => row.source_chat_id !== payload.chatId || row.source_message_id !== payload.messageId));
+
+    if (policy === 'delete' && !shared) {
+        for (const copy of copies) {
+            const message = await whatsappClient.getMessageById(copy.destination_message_id);
+            if (message) {
+                await message.delete(true);
+            }
+        }
+        console.log(`   ✅ Deleted ${copies.length} WhatsApp message(s)`);
+        return;
+    }
+
+    await sendWhatsAppMessage(whatsappChatId, `🗑️ Deleted on Telegram by ${friendLabel(payload.chatId)}`,
+        { quotedMessageId: copies[0].destination_message_id });
+    console.log(`   ✅ Marked the WhatsApp copy as deleted`);
+}
+
+/**
+ * Delete or mark the Telegram copies of a deleted tg: message
+ * (one per friend it was sent to, each with that friend's policy)
+ */
+async function applyDeletionOnTelegram(copies) {
+    const byPeer = new Map();
+    for (const copy of copies) {
+        if (!byPeer.has(copy.destination_chat_id)) {
+            byPeer.set(copy.destination_chat_id, []);
+        }
+        byPeer.get(copy.destination_chat_id).push(Number(copy.destination_message_id));
+    }
+
+    for (const [peerId, messageIds] of byPeer) {
+        const policy = deletionPolicyFor(config, peerId);
+        if (policy === 'delete') {
+            await telegramClient.deleteMessages(BigInt(peerId), messageIds, { revoke: true });
+            console.log(`   ✅ Deleted for ${friendLabel(peerId)} on Telegram`);
+        } else if (policy === 'mark') {
+            await telegramClient.sendMessage(BigInt(peerId), { message: '🗑️ Deleted on WhatsApp', replyTo: messageIds[0] });
+            console.log(`   ✅ Marked as deleted for ${friendLabel(peerId)} on Telegram`);
+        }
+    }
+}
+
+/**
+ * Outbox handler: mirror a deletion onto the copies of a bridged message
+ * The policy is read when it runs, so a config change applies right away.
+ */
+outbox.register(DELETION_JOB, {
+    lane: (payload) => `${payload.direction}:${payload.chatId}`,
+
+    isReady: (payload) => payload.direction === DIRECTION.TELEGRAM_TO_WHATSAPP
+        ? whatsappReady && !bridgeState.isPaused()
+        : telegramClient.connected,
+
+    async deliver(payload) {
+        const records = liveRecords(payload.direction, payload.chatId, payload.messageId);
+        if (records.some(record => record.status === STATUS.PENDING || record.status === STATUS.HELD)) {
+            throw new Error('The message is still being bridged');
+        }
+
+        const copies = records.filter(record => record.destination_message_id);
+        if (copies.length > 0) {
+            if (payload.direction === DIRECTION.TELEGRAM_TO_WHATSAPP) {
+                await applyDeletionOnWhatsApp(payload, copies, deletionPolicyFor(config, payload.chatId));
+            } else {
+                await applyDeletionOnTelegram(copies);
+            }
+        }
+
+        messageStore.markDeleted(payload.direction, payload.chatId, payload.messageId);
+    },
+
+    onGiveUp(payload, error) {
+        console.error(`❌ Could not mirror a deletion in ${payload.chatId}:`, error.message);
+    }
+});
+
+whatsappClient.on('message_revoke_everyone', async (revoked, before) => {
+    try {
+        await mirrorWhatsAppDeletion(revoked, before);
+    } catch (error) {
+        console.error('❌ Error mirroring WhatsApp deletion:', error.message);
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// REACTIONS (BOTH DIRECTIONS)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * We reacted to a forwarded message on WhatsApp: react to the original
+ * on Telegram, or reply with a short notice if Telegram doesn't have
+ * that emoji (or the chat doesn't allow it)
+ */
+async function mirrorWhatsAppReaction(reaction) {
+    // Only our own reactions - the bridge's ✅ confirmations are on our
+    // own tg: messages, which aren't forwarded copies, so they never match
+    if (!reaction.id.fromMe) {
+        return;
+    }
+
+    // A summary of held messages stands for several originals - skip it
+    const forwarded = messageStore.findByDestination(DIRECTION.TELEGRAM_TO_WHATSAPP, reaction.msgId._serialized)
+        .filter(row => row.status === STATUS.DELIVERED);
+    if (forwarded.length !== 1) {
+        return;
+    }
+
+    const peerId = BigInt(forwarded[0].source_chat_id);
+    const msgId = Number(forwarded[0].source_message_id);
+    const emoji = reaction.reaction;
+
+    console.log(`\n${emoji || '➖'} [WhatsApp → Telegram] Reaction ${emoji ? 'on' : 'removed from'} a message from ${friendLabel(peerId)}`);
+    if (!telegramClient.connected) {
+        console.log('   ⚠️  Telegram is not connected, reaction not mirrored');
+        return;
+    }
+
+    const mapped = emoji ? toTelegramReaction(emoji) : null;
+    if (!emoji || mapped) {
+        try {
+            await telegramClient.invoke(new Api.messages.SendReaction({
+                peer: peerId,
+                msgId,
+                reaction: mapped ? [new Api.ReactionEmoji({ emoticon: mapped })] : []
+            }));
+            console.log(`   ✅ ${mapped ? `Reacted ${mapped}` : 'Reaction removed'} on Telegram`);
+            return;
+        } catch (error) {
+            if (!emoji || !/REACTION_INVALID/.test(error.message)) {
+                throw error;
+            }
+        }
+    }
+
+    await telegramClient.sendMessage(peerId, { message: `(reacted ${emoji})`, replyTo: msgId });
+    console.log(`   ✅ ${emoji} isn't a Telegram reaction here, sent as a notice`);
+}
+
+/**
+ * A friend reacted to one of our tg: messages on Telegram: put the same
+ * reaction on our original message on WhatsApp, or quote it with a
+ * short notice for reactions WhatsApp can't show (custom emoji)
+ *
+ * Reactions to their own messages aren't mirrored: the only reaction
+ * the bridge can set on WhatsApp is yours, which is already yours to set.
+ */
+async function mirrorTelegramReaction(update) {
+    const peerId = getPeerId(update.peer);
+    const sent = messageStore.findByDestination(DIRECTION.WHATSAPP_TO_TELEGRAM, update.msgId)
+        .find(row => row.destination_chat_id === peerId && row.status === STATUS.DELIVERED);
+    if (!sent) {
+        return;
+    }
+
+    const reaction = friendReaction(update.reactions);
+    const emoji = reaction ? toWhatsAppReaction(reaction) : '';
+
+    console.log(`\n${emoji || '➖'} [Telegram → WhatsApp] ${friendLabel(peerId)} ${reaction ? 'reacted to' : 'removed a reaction from'} your message`);
+    if (!whatsappReady) {
+        console.log('   ⚠️  WhatsApp is not ready, reaction not mirrored');
+        return;
+    }
+
+    if (emoji === null) {
+        await sendWhatsAppMessage(sent.source_chat_id, `${friendLabel(peerId)} reacted with a custom emoji`,
+            { quotedMessageId: sent.source_message_id });
+        return;
+    }
+
+    await whatsappClient.sendReaction(sent.source_message_id, emoji);
+}
+
+whatsappClient.on('message_reaction', async (reaction) => {
+    try {
+        await mirrorWhatsAppReaction(reaction);
+    } catch (error) {
+        console.error('❌ Error mirroring WhatsApp reaction:', error.message);
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// POLL VOTES: WHATSAPP → TELEGRAM
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * You voted on a forwarded Telegram poll on WhatsApp: cast the same vote
+ * on Telegram. The WhatsApp poll has the options in the same order, so
+ * they are matched by position. Unselecting everything retracts the vote.
+ */
+async function mirrorWhatsAppVote(vote) {
+    // Only your own votes (the poll may be in a routed group)
+    if (!whatsappClient.info || vote.voter !== whatsappClient.info.wid._serialized) {
+        return;
+    }
+
+    const pollId = vote.parentMessage && vote.parentMessage.id && vote.parentMessage.id._serialized;
+    const forwarded = pollId && messageStore.findByDestination(DIRECTION.TELEGRAM_TO_WHATSAPP, pollId)
+        .find(row => row.status === STATUS.DELIVERED);
+    if (!forwarded) {
+        return;
+    }
+
+    const peerId = BigInt(forwarded.source_chat_id);
+    const msgId = Number(forwarded.source_message_id);
+    const names = vote.selectedOptions.map(option => option.name).filter(name => name);
+
+    console.log(`\n🗳️  [WhatsApp → Telegram] Vote on a poll from ${friendLabel(peerId)}`);
+    if (!telegramClient.connected) {
+        console.log('   ⚠️  Telegram is not connected, vote not mirrored');
+        return;
+    }
+
+    const [message] = await telegramClient.getMessages(peerId, { ids: [msgId] });
+    const poll = message && message.media instanceof Api.MessageMediaPoll ? message.media.poll : null;
+    if (!poll) {
+        console.log('   ⚠️  The poll is no longer on Telegram');
+        return;
+    }
+    if (poll.closed) {
+        await sendWhatsAppMessage(forwarded.destination_chat_id, '⚠️ This poll is closed on Telegram, the vote was not sent',
+            { quotedMessageId: pollId });
+        console.log('   ⚠️  The poll is closed');
+        return;
+    }
+
+    const options = vote.selectedOptions
+        .map(option => poll.answers[option.localId])
+        .filter(answer => answer)
+        .map(answer => answer.option);
+
+    await telegramClient.invoke(new Api.messages.SendVote({ peer: peerId, msgId, options }));
+    console.log(`   ✅ ${options.length > 0 ? `Voted "${names.join('", "')}"` : 'Vote retracted'} on Telegram`);
+}
+
+whatsappClient.on('vote_update', async (vote) => {
+    try {
+        await mirrorWhatsAppVote(vote);
+    } catch (error) {
+        console.error('❌ Error mirroring WhatsApp poll vote:', error.message);
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// READ RECEIPTS: WHATSAPP → TELEGRAM
+// ═══════════════════════════════════════════════════════════════
+
+// Highest Telegram message ID marked read per chat, so repeated acks
+// don't call Telegram again
+const markedReadUpTo = new Map();
+
+/**
+ * A forwarded copy was read on WhatsApp: mark the Telegram chat read up
+ * to the original, for friends/groups that opted in (config "readReceipts")
+ *
+ * A summary of held messages marks all the messages in it.
+ */
+async function mirrorWhatsAppRead(msg, ack) {
+    if (ack < MessageAck.ACK_READ) {
+        return;
+    }
+
+    const upTo = new Map();
+    for (const row of messageStore.findByDestination(DIRECTION.TELEGRAM_TO_WHATSAPP, msg.id._serialized)) {
+        if (row.status !== STATUS.DELIVERED || !isChatSelected(config.readReceipts, row.source_chat_id)) {
+            continue;
+        }
+        upTo.set(row.source_chat_id, Math.max(upTo.get(row.source_chat_id) || 0, Number(row.source_message_id)));
+    }
+
+    for (const [chatId, maxId] of upTo) {
+        if (maxId <= (markedReadUpTo.get(chatId) || 0)) {
+            continue;
+        }
+        if (!telegramClient.connected) {
+            console.log(`⚠️  Telegram is not connected, could not mark ${friendLabel(chatId)} read`);
+            return;
+        }
+
+        await telegramClient.markAsRead(BigInt(chatId), undefined, { maxId, clearMentions: true });
+        markedReadUpTo.set(chatId, maxId);
+        console.log(`👁️  Marked ${friendLabel(chatId)} read on Telegram (up to message ${maxId})`);
+    }
+}
+
+whatsappClient.on('message_ack', async (msg, ack) => {
+    try {
+        await mirrorWhatsAppRead(msg, ack);
+    } catch (error) {
+        console.error('❌ Error sending read receipt to Telegram:', error.message);
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// TYPING INDICATORS
+// ═══════════════════════════════════════════════════════════════
+
+// WhatsApp shows "typing…" for about 25 seconds while Telegram repeats
+// its typing update every few seconds - pass one on at most this often
+const TYPING_INTERVAL_MS = 10 * 1000;
+
+// When "typing…" was last shown, per Telegram chat
+const lastTypingSent = new Map();
+
+// Telegram actions shown as "recording audio…" on WhatsApp; other
+// composing actions (typing, choosing a sticker, uploading) as "typing…"
+const RECORDING_ACTIONS = ['SendMessageRecordAudioAction', 'SendMessageRecordRoundAction', 'SendMessageUploadAudioAction'];
+const TYPING_ACTIONS = [
+    'SendMessageTypingAction', 'SendMessageChooseStickerAction', 'SendMessageChooseContactAction',
+    'SendMessageUploadPhotoAction', 'SendMessageUploadVideoAction', 'SendMessageUploadDocumentAction',
+    'SendMessageRecordVideoAction', 'SendMessageUploadRoundAction'
+];
+
+/**
+ * Whether typing is mirrored for a Telegram chat: it must be opted in
+ * (config "typing") and have a route of its own
+ */
+function isTypingMirrored(chatId) {
+    return Boolean(config.routes[chatId.toString()]) && isChatSelected(config.typing, chatId);
+}
+
+/**
+ * The Telegram chat (marked ID) a typing update belongs to
+ */
+function typingChatOf(update) {
+    if (update instanceof Api.UpdateUserTyping) {
+        return update.userId.toString();
+    }
+    if (update instanceof Api.UpdateChatUserTyping) {
+        return getPeerId(new Api.PeerChat({ chatId: update.chatId }));
+    }
+    return getPeerId(new Api.PeerChannel({ channelId: update.channelId }));
+}
+
+/**
+ * A friend is typing on Telegram: show "typing…" in their WhatsApp chat
+ *
+ * Opt-in per routed friend/group (config "typing"), and rate-limited.
+ * Your own chat never shows it - there'd be no telling who is typing.
+ */
+async function mirrorTelegramTyping(update) {
+    const chatId = typingChatOf(update);
+    const whatsappChatId = config.routes[chatId];
+    if (!isTypingMirrored(chatId) || !whatsappReady) {
+        return;
+    }
+
+    const action = update.action.className;
+    if (action === 'SendMessageCancelAction') {
+        lastTypingSent.delete(chatId);
+        const chat = await whatsappClient.getChatById(whatsappChatId);
+        await chat.clearState();
+        return;
+    }
+
+    const recording = RECORDING_ACTIONS.includes(action);
+    if (!recording && !TYPING_ACTIONS.includes(action)) {
+        return;
+    }
+
+    const now = Date.now();
+    if (now - (lastTypingSent.get(chatId) || 0) < TYPING_INTERVAL_MS) {
+        return;
+    }
+    lastTypingSent.set(chatId, now);
+
+    const chat = await whatsappClient.getChatById(whatsappChatId);
+    await (recording ? chat.sendStateRecording() : chat.sendStateTyping());
+}
+
+/**
+ * Show "sending a photo…" (etc.) on Telegram while a tg: attachment is
+ * uploaded. WhatsApp Web doesn't report your own typing, so uploads are
+ * the only part of composing the bridge can see.
+ */
+async function showTelegramUpload(peerId, mediaType) {
+    const actions = {
+        image: Api.SendMessageUploadPhotoAction,
+        video: Api.SendMessageUploadVideoAction,
+        audio: Api.SendMessageUploadAudioAction,
+        ptt: Api.SendMessageUploadAudioAction
+    };
+    const Action = actions[mediaType] || Api.SendMessageUploadDocumentAction;
+
+    try {
+        await telegramClient.invoke(new Api.messages.SetTyping({ peer: peerId, action: new Action({ progress: 0 }) }));
+    } catch (error) {
+        console.log(`   ⚠️  Could not show the upload on Telegram: ${error.message}`);
+    }
+}
+
+/**
+ * Format a Telegram timestamp (unix seconds) for WhatsApp, e.g. "19/10/2026, 14:32"
+ * Uses the container's TZ setting.
+ */
+function formatTimestamp(unixSeconds) {
+    return new Date(unixSeconds * 1000).toLocaleString('en-GB', {
+        dateStyle: 'short',
+        timeStyle: 'short'
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HELD MESSAGES: SUMMARY AFTER A MUTE, QUIET HOURS OR DIGEST WINDOW
+// ═══════════════════════════════════════════════════════════════
+
+// Outbox job kind for summaries of held messages
+const HELD_SUMMARY_JOB = 'held_summary';
+
+// How often the bridge checks whether held messages can go out
+const HELD_CHECK_INTERVAL_MS = 30 * 1000;
+
+// How a held message is logged, per HOLD_REASON
+const HOLD_LOG_LABELS = {
+    [HOLD_REASON.MUTED]: '🔇 Muted',
+    [HOLD_REASON.QUIET_HOURS]: '🌙 Quiet hours',
+    [HOLD_REASON.DIGEST]: '🗞️ Digest mode'
+};
+
+let heldCheckTimer = null;
+
+/**
+ * Whether a message from this chat goes into a digest instead of
+ * straight to WhatsApp. Messages with an urgent keyword skip the digest.
+ */
+function isDigested(chatId, text) {
+    const digest = config.digest;
+    if (!digest || !(digest.all || digest.chatIds.has(chatId.toString()))) {
+        return false;
+    }
+
+    const lowered = (text || '').toLowerCase();
+    if (digest.urgentKeywords.some(keyword => lowered.includes(keyword))) {
+        console.log(`   🚨 Urgent keyword - skipping the digest`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Send held messages whose mute has ended (or was lifted) and whose
+ * quiet hours are over - one summary per WhatsApp chat
+ */
+async function releaseHeldMessages() {
+    const quiet = isQuietTime(config.quietHours);
+
+    // A digest goes out once its oldest message has waited a full window
+    // (or right away if digest mode was turned off in the meantime)
+    const digestStarted = heldMessages.firstHeldAt(HOLD_REASON.DIGEST);
+    const digestDue = (whatsappChatId) => !config.digest ||
+        Date.now() - digestStarted[whatsappChatId] >= config.digest.windowMs;
+
+    const released = heldMessages.release(row => !quiet && !bridgeState.isMuted(row.chat_id) &&
+        (row.reason !== HOLD_REASON.DIGEST || digestDue(row.whatsapp_chat_id)));
+
+    if (released.length === 0) {
+        return;
+    }
+
+    const byWhatsAppChat = new Map();
+    for (const row of released) {
+        if (!byWhatsAppChat.has(row.whatsapp_chat_id)) {
+            byWhatsAppChat.set(row.whatsapp_chat_id, []);
+        }
+        byWhatsAppChat.get(row.whatsapp_chat_id).push(row);
+    }
+
+    for (const [whatsappChatId, rows] of byWhatsAppChat) {
+        console.log(`\n📬 Sending summary of ${rows.length} held message(s) to ${whatsappChatId}`);
+
+        const result = await outbox.send(HELD_SUMMARY_JOB, {
+            whatsappChatId,
+            recordIds: rows.map(row => row.record_id),
+            text: formatHeldSummary(rows, formatTimestamp),
+            items: rows.filter(isForwardedAfterSummary).map(heldItemPayload)
+        });
+
+        if (result.queued) {
+            console.log(`   ⏳ Summary queued for WhatsApp${result.error ? ` (${result.error.message})` : ' (not ready yet)'}`);
+        }
+    }
+}
+
+/**
+ * The Telegram → WhatsApp job payload for a held file, location, contact
+ * or poll, sent after its summary (which already has its text)
+ */
+function heldItemPayload(row) {
+    return {
+        recordId: row.record_id,
+        chatId: row.chat_id,
+        messageId: Number(row.message_id),
+        whatsappChatId: row.whatsapp_chat_id,
+        hasMedia: Boolean(row.has_media),
+        content: row.content ? JSON.parse(row.content) : null,
+        senderName: row.sender_name,
+        quotedMessageId: null,
+        text: forwardedBody({ displayName: row.sender_name, date: row.source_timestamp, delayed: true })
+    };
+}
+
+/**
+ * Outbox handler: deliver a summary of held messages to WhatsApp, then
+ * the files, locations... it lists, each as its own message
+ *
+ * A message only counts as delivered once its own content was sent: the
+ * summary for texts, its own message(s) for the rest.
+ */
+outbox.register(HELD_SUMMARY_JOB, {
+    lane: (payload) => payload.whatsappChatId,
+
+    isReady: (payload) => whatsappReady && !bridgeState.isPaused() &&
+        (!payload.items.some(item => item.hasMedia) || telegramClient.connected),
+
+    async deliver(payload, context, job) {
+        const progress = outbox.progress(job, payload);
+        const summaryIds = await sendWhatsAppText(payload.whatsappChatId, payload.text, {}, progress.scope('summary'));
+
+        const itemIds = new Map();
+        for (const item of payload.items) {
+            try {
+                itemIds.set(item.recordId, await sendTelegramMessageToWhatsApp(item, null, progress.scope(`item:${item.recordId}`)));
+            } catch (error) {
+                if (!error.deletedOnTelegram) {
+                    throw error;
+                }
+                // Deleted on Telegram since it was held: only the summary lists it
+                itemIds.set(item.recordId, null);
+            }
+        }
+
+        for (const recordId of payload.recordIds) {
+            const sentIds = itemIds.get(recordId);
+            if (sentIds === null) {
+                messageStore.markFailed(recordId, new Error('Deleted on Telegram before it was forwarded'));
+            } else {
+                messageStore.markDelivered(recordId, sentIds || summaryIds);
+            }
+        }
+    },
+
+    onDelivered(payload) {
+        console.log(`✅ Summary of ${payload.recordIds.length} held message(s) delivered to WhatsApp`);
+    },
+
+    async onGiveUp(payload, error, job) {
+        for (const recordId of payload.recordIds) {
+            messageStore.markFailed(recordId, error);
+        }
+
+        if (telegramClient.connected) {
+            await telegramClient.sendMessage('me', {
+                message: `⚠️ Bridge: could not deliver a summary of ${payload.recordIds.length} held message(s) ` +
+                    `to WhatsApp after ${job.attempts} attempt(s): ${error.message}`
+            });
+        }
+    }
+});
+
+/**
+ * Check for releasable held messages periodically (mutes expire and
+ * quiet hours end on their own)
+ */
+function startHeldMessageChecks() {
+    if (!heldCheckTimer) {
+        heldCheckTimer = setInterval(() => {
+            releaseHeldMessages().catch(error => {
+                console.error('❌ Error releasing held messages:', error.message);
+            });
+        }, HELD_CHECK_INTERVAL_MS);
+    }
+}
+
+function stopHeldMessageChecks() {
+    clearInterval(heldCheckTimer);
+    heldCheckTimer = null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CATCH-UP: MESSAGES MISSED WHILE THE BRIDGE WAS DOWN
+// ═══════════════════════════════════════════════════════════════
+
+// Messages fetched per request when catching up
+const CATCH_UP_PAGE_SIZE = 100;
+
+// Most missed messages forwarded per friend or group; anything past
+// this is reported instead of flooding WhatsApp
+const CATCH_UP_MAX_MESSAGES = 1000;
+
+// Only one catch-up at a time ('ready' can fire again after a reconnect)
+let catchUpRunning = false;
+
+/**
+ * Fetch a chat's history newer than lastId, oldest first, page by page
+ * Returns { messages, truncated }: truncated when there was more than
+ * CATCH_UP_MAX_MESSAGES to fetch.
+ */
+async function fetchHistorySince(peerId, lastId) {
+    const messages = [];
+    let minId = lastId;
+
+    while (messages.length < CATCH_UP_MAX_MESSAGES) {
+        // reverse: start right after minId instead of at the newest message
+        const page = (await telegramClient.getMessages(peerId, {
+            minId,
+            limit: CATCH_UP_PAGE_SIZE,
+            reverse: true
+        })).filter(message => message);
+
+        messages.push(...page);
+        if (page.length < CATCH_UP_PAGE_SIZE) {
+            return { messages, truncated: false };
+        }
+        minId = Math.max(...page.map(message => message.id));
+    }
+
+    return { messages: messages.slice(0, CATCH_UP_MAX_MESSAGES), truncated: true };
+}
+
+/**
+ * Forward Telegram messages that arrived while the bridge was offline
+ *
+ * For each friend and group, fetches the history newer than the last
+ * message we forwarded (according to the message store) and forwards it
+ * oldest first, marked as delayed. Chats we never forwarded anything
+ * from are skipped - there is no known point to catch up from.
+ * If a chat missed more than CATCH_UP_MAX_MESSAGES, only the oldest are
+ * forwarded and WhatsApp is told to read the rest on Telegram.
+ */
+async function catchUpMissedMessages() {
+    if (catchUpRunning) {
+        return;
+    }
+    catchUpRunning = true;
+
+    console.log('\n🔎 Checking Telegram for messages missed while offline...');
+
+    try {
+        for (const friendId of [...config.friendIds, ...config.groupIds]) {
+            const friendTag = config.tagsById[friendId.toString()] || friendId.toString();
+            const lastId = messageStore.getLastDeliveredSourceId(DIRECTION.TELEGRAM_TO_WHATSAPP, friendId);
+
+            if (lastId === null) {
+                console.log(`   ⏭️  ${friendTag}: nothing forwarded yet, skipping`);
+                continue;
+            }
+
+            try {
+                const { messages: history, truncated } = await fetchHistorySince(friendId, lastId);
+
+                // Not ours, oldest first, not already forwarded or queued
+                const missed = history
+                    .filter(message => !message.out)
+                    .filter(message => !messageStore.isBridged(DIRECTION.TELEGRAM_TO_WHATSAPP, message.chatId, message.id))
+                    .sort((a, b) => a.id - b.id);
+
+                if (missed.length === 0 && !truncated) {
+                    console.log(`   ✅ ${friendTag}: up to date`);
+                    continue;
+                }
+
+                console.log(`   📬 ${friendTag}: ${missed.length} missed message(s)`);
+                for (const group of groupAlbums(missed)) {
+                    try {
+                        await forwardTelegramAlbum(group, { delayed: true });
+                    } catch (error) {
+                        console.error(`   ❌ Could not forward missed message ${group[0].id} from ${friendTag}:`, error.message);
+                    }
+                }
+
+                if (truncated) {
+                    const lastFetched = history[history.length - 1];
+                    console.log(`   ⚠️  ${friendTag}: more than ${CATCH_UP_MAX_MESSAGES} missed messages, ` +
+                        `stopped after message ${lastFetched.id}`);
+                    await sendWhatsAppMessage(whatsappChatFor(friendId),
+                        `⚠️ Bridge: more than ${CATCH_UP_MAX_MESSAGES} messages from ${friendLabel(friendId)} arrived ` +
+                        'while the bridge was down. Only the oldest were forwarded, read the newer ones on Telegram.');
+                }
+            } catch (error) {
+                console.error(`   ❌ Could not fetch history for ${friendTag}:`, error.message);
+            }
+        }
+    } finally {
+        catchUpRunning = false;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CONFIG HOT RELOAD
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Apply edits to the config file without restarting
+ * (no re-authentication of WhatsApp's Chromium session needed).
+ * A broken edit is reported and the previous config stays in use.
+ */
+const stopWatchingConfig = watchConfig(CONFIG_OPTIONS, {
+    onReload(newConfig) {
+        config = newConfig;
+        console.log('\n🔄 Configuration reloaded');
+        logConfig(config);
+
+        if (whatsappReady) {
+            checkWhatsAppRoutes().catch(error => {
+                console.error('⚠️  Could not check WhatsApp routes:', error.message);
+            });
+        }
+
+        // Quiet hours may have changed
+        releaseHeldMessages().catch(error => {
+            console.error('❌ Error releasing held messages:', error.message);
+        });
+    },
+
+    onError(error) {
+        console.error('\n⚠️  Configuration change ignored, keeping the previous settings');
+        printConfigError(error);
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// START THE BRIDGE
+// ═══════════════════════════════════════════════════════════════
+
+(async () => {
+    try {
+        // Start Telegram client
+        await telegramClient.connect();
+        await setupTelegramForwarding();
+
+        // Deliver queued messages as soon as their target is ready
+        outbox.start();
+
+        // Send summaries once mutes expire and quiet hours end
+        startHeldMessageChecks();
+
+        // Start WhatsApp client
+        await whatsappClient.initialize();
+
+    } catch (error) {
         console.error('\n❌ Failed to start bridge:', error.message);
         console.error('\n🔧 Troubleshooting:');
-        console.error('   1. Check your .env file has correct values');
+        console.error('   1. Check your .env file (and config/bridge.json) has correct values');
         console.error('   2. Run test-telegram.js to verify Telegram connection');
         console.error('   3. Run test-whatsapp.js to verify WhatsApp connection');
         console.error('   4. Check your internet connection');
@@ -503,6 +2947,11 @@ process.on('SIGINT', async () => {
         console.error('⚠️  Error disconnecting WhatsApp:', error.message);
     }
     
+    stopWatchingConfig();
+    stopHeldMessageChecks();
+    outbox.stop();
+    messageStore.close();
+    
     console.log('\n👋 Bridge stopped. Goodbye!\n');
     process.exit(0);
 });
@@ -0,0 +1,85 @@
+/**
+ * ALBUM BUFFER
+ *
+ * Telegram delivers an album (several photos or videos sent at once) as
+ * separate messages that share a groupedId, arriving a few milliseconds
+ * apart. The buffer collects them until none has arrived for windowMs,
+ * then hands over the whole album at once, oldest first.
+ *
+ * Albums still buffered when the bridge stops are not lost: they were
+ * never forwarded, so the catch-up on the next start finds them.
+ */
+
+class AlbumBuffer {
+    /**
+     * @param {number} windowMs - How long to wait for the next item
+     * @param {(messages: object[]) => void} onAlbum - Called with each complete album
+     */
+    constructor(windowMs, onAlbum) {
+        this.windowMs = windowMs;
+        this.onAlbum = onAlbum;
+        this.albums = new Map(); // "chatId:groupedId" → { messages, timer }
+    }
+
+    /**
+     * Add a message that belongs to an album (message.groupedId is set)
+     */
+    add(message) {
+        const key = `${message.chatId}:${message.groupedId}`;
+        let album = this.albums.get(key);
+        if (!album) {
+            album = { messages: [], timer: null };
+            this.albums.set(key, album);
+        }
+
+        // The same update can arrive twice after a reconnect
+        if (!album.messages.some(existing => existing.id === message.id)) {
+            album.messages.push(message);
+        }
+
+        clearTimeout(album.timer);
+        album.timer = setTimeout(() => this.flush(key), this.windowMs);
+    }
+
+    /**
+     * Hand over one album now
+     */
+    flush(key) {
+        const album = this.albums.get(key);
+        if (!album) {
+            return;
+        }
+        clearTimeout(album.timer);
+        this.albums.delete(key);
+        this.onAlbum(album.messages.sort((a, b) => a.id - b.id));
+    }
+}
+
+/**
+ * Group messages (e.g. fetched from history) into albums and single
+ * messages, in order: [[message], [item, item, item], [message]...]
+ */
+function groupAlbums(messages) {
+    const groups = [];
+    const byGroupedId = new Map();
+
+    for (const message of messages) {
+        if (!message.groupedId) {
+            groups.push([message]);
+            continue;
+        }
+        const key = message.groupedId.toString();
+        if (!byGroupedId.has(key)) {
+            byGroupedId.set(key, []);
+            groups.push(byGroupedId.get(key));
+        }
+        byGroupedId.get(key).push(message);
+    }
+
+    return groups;
+}
+
+module.exports = {
+    AlbumBuffer,
+    groupAlbums
+};
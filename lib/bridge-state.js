@@ -0,0 +1,176 @@
+/**
+ * BRIDGE STATE
+ *
+ * Settings changed at runtime with the in-chat commands (tg:/pause,
+ * tg:/mute john 2h, ...), kept in SQLite so they survive a restart.
+ *
+ * - paused: Telegram → WhatsApp forwarding is on hold (messages wait
+ *   in the outbox until tg:/resume)
+ * - mutes: per chat, with an optional expiry time
+ * - chat mode: the Telegram chat that everything typed in one WhatsApp
+ *   chat goes to (tg:/chat john), until tg:/end or it sits idle too long
+ */
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS settings (
+        key    TEXT PRIMARY KEY,
+        value  TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS mutes (
+        chat_id     TEXT PRIMARY KEY,
+        until       INTEGER,
+        created_at  INTEGER NOT NULL
+    );
+`;
+
+class BridgeState {
+    /**
+     * @param {import('better-sqlite3').Database} db - Shared with the message store
+     */
+    constructor(db) {
+        this.db = db;
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            getSetting: this.db.prepare('SELECT value FROM settings WHERE key = ?'),
+            setSetting: this.db.prepare(`
+                INSERT INTO settings (key, value) VALUES (?, ?)
+                ON CONFLICT (key) DO UPDATE SET value = excluded.value
+            `),
+            deleteSetting: this.db.prepare('DELETE FROM settings WHERE key = ?'),
+            mute: this.db.prepare(`
+                INSERT INTO mutes (chat_id, until, created_at) VALUES (?, ?, ?)
+                ON CONFLICT (chat_id) DO UPDATE SET until = excluded.until, created_at = excluded.created_at
+            `),
+            getMute: this.db.prepare('SELECT * FROM mutes WHERE chat_id = ?'),
+            allMutes: this.db.prepare('SELECT * FROM mutes ORDER BY created_at'),
+            unmute: this.db.prepare('DELETE FROM mutes WHERE chat_id = ?'),
+            unmuteAll: this.db.prepare('DELETE FROM mutes'),
+            deleteExpired: this.db.prepare('DELETE FROM mutes WHERE until IS NOT NULL AND until <= ?')
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PAUSE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * When forwarding was paused (ms timestamp), or null if it isn't
+     */
+    pausedSince() {
+        const row = this.statements.getSetting.get('paused_since');
+        return row ? Number(row.value) : null;
+    }
+
+    isPaused() {
+        return this.pausedSince() !== null;
+    }
+
+    pause() {
+        if (!this.isPaused()) {
+            this.statements.setSetting.run('paused_since', String(Date.now()));
+        }
+    }
+
+    resume() {
+        this.statements.deleteSetting.run('paused_since');
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // MUTES
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Mute a chat until a given time (ms timestamp), or indefinitely
+     */
+    mute(chatId, until = null) {
+        this.statements.mute.run(String(chatId), until, Date.now());
+    }
+
+    /**
+     * Unmute a chat. Returns false if it wasn't muted.
+     */
+    unmute(chatId) {
+        return this.statements.unmute.run(String(chatId)).changes > 0;
+    }
+
+    /**
+     * Unmute every chat. Returns how many were muted.
+     */
+    unmuteAll() {
+        return this.statements.unmuteAll.run().changes;
+    }
+
+    /**
+     * The active mute of a chat ({ chat_id, until, created_at }) or null
+     */
+    getMute(chatId) {
+        this.removeExpiredMutes();
+        return this.statements.getMute.get(String(chatId)) || null;
+    }
+
+    isMuted(chatId) {
+        return this.getMute(chatId) !== null;
+    }
+
+    /**
+     * All active mutes, oldest first
+     */
+    getMutes() {
+        this.removeExpiredMutes();
+        return this.statements.allMutes.all();
+    }
+
+    removeExpiredMutes() {
+        this.statements.deleteExpired.run(Date.now());
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // CHAT MODE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Send everything typed in a WhatsApp chat to one Telegram chat
+     * It ends after timeoutMs without a message (see touchChat()).
+     */
+    startChat(chatId, whatsappChatId, timeoutMs) {
+        this.statements.setSetting.run('chat_mode', JSON.stringify({
+            chatId: String(chatId),
+            whatsappChatId,
+            timeoutMs,
+            until: Date.now() + timeoutMs
+        }));
+    }
+
+    /**
+     * The chat mode ({ chatId, whatsappChatId, timeoutMs, until }) or
+     * null. It is returned even once `until` has passed, so the caller
+     * can say it ended; endChat() removes it.
+     */
+    getChat() {
+        const row = this.statements.getSetting.get('chat_mode');
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    /**
+     * A message was sent in chat mode: restart its idle timeout
+     */
+    touchChat() {
+        const chat = this.getChat();
+        if (chat) {
+            this.statements.setSetting.run('chat_mode', JSON.stringify({ ...chat, until: Date.now() + chat.timeoutMs }));
+        }
+    }
+
+    /**
+     * Leave chat mode. Returns the chat mode that ended, or null.
+     */
+    endChat() {
+        const chat = this.getChat();
+        this.statements.deleteSetting.run('chat_mode');
+        return chat;
+    }
+}
+
+module.exports = { BridgeState };
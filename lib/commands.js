@@ -0,0 +1,69 @@
+/**
+ * BRIDGE COMMAND PARSING
+ *
+ * Helpers for the in-chat commands sent from WhatsApp, e.g.
+ *   tg:/status
+ *   tg:/mute john 2h
+ *   tg:/history john 10
+ *
+ * Only parsing and formatting lives here; index.js runs the commands.
+ */
+
+// Duration units accepted by /mute: 30m, 2h, 1d, 1w
+const DURATION_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Split a command into its name and arguments
+ * "/mute John 2h" → { name: 'mute', args: ['John', '2h'] }
+ * Returns null if the text isn't a command (doesn't start with "/").
+ */
+function parseCommand(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed.startsWith('/')) {
+        return null;
+    }
+
+    const [name, ...args] = trimmed.substring(1).split(/\s+/);
+    return { name: name.toLowerCase(), args };
+}
+
+/**
+ * Parse a duration like "30m", "2h", "1d" or "1h30m" into milliseconds
+ * Returns null if the text isn't a valid duration.
+ */
+function parseDuration(text) {
+    const match = /^((\d+)[mhdw])+$/i.test(text || '') ? text.toLowerCase().match(/\d+[mhdw]/g) : null;
+    if (!match) {
+        return null;
+    }
+
+    const ms = match.reduce((total, part) => total + parseInt(part) * DURATION_UNITS[part.slice(-1)], 0);
+    return ms > 0 ? ms : null;
+}
+
+/**
+ * Format milliseconds as a short duration, e.g. "2h 15m"
+ */
+function formatDuration(ms) {
+    const totalMinutes = Math.max(1, Math.round(ms / 60000));
+    const days = Math.floor(totalMinutes / (24 * 60));
+    const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+    const minutes = totalMinutes % 60;
+
+    return [
+        days ? `${days}d` : '',
+        hours ? `${hours}h` : '',
+        minutes ? `${minutes}m` : ''
+    ].filter(part => part).join(' ');
+}
+
+module.exports = {
+    parseCommand,
+    parseDuration,
+    formatDuration
+};
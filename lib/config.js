@@ -0,0 +1,793 @@
+/**
+ * BRIDGE CONFIGURATION
+ *
+ * Friends, groups, tags, routes and formatting are read from a JSON
+ * config file (config/bridge.json by default) when it exists, and from
+ * the .env variables otherwise:
+ *
+ *   file section   .env fallback
+ *   friends        FRIEND_TELEGRAM_IDS (+ FRIEND_TAGS)
+ *   groups         TELEGRAM_GROUP_IDS (+ FRIEND_TAGS)
+ *   routes         WHATSAPP_ROUTES
+ *   formatting     MESSAGE_PREFIX
+ *   quietHours     QUIET_HOURS + QUIET_HOURS_TIMEZONE
+ *   digest         DIGEST + DIGEST_WINDOW_MINUTES + DIGEST_URGENT_KEYWORDS
+ *   deletions      DELETIONS
+ *   readReceipts   READ_RECEIPTS
+ *   typing         TYPING_INDICATORS
+ *
+ * Each section falls back on its own, so a file with only "routes" still
+ * uses the friends from .env. Tags come from the file's friend/group
+ * entries, or from FRIEND_TAGS when the file defines neither.
+ *
+ * The file is watched for changes (see watchConfig): a valid edit is
+ * applied without restarting the bridge, an invalid one is reported and
+ * the previous config stays in use.
+ *
+ * Mistakes throw a ConfigError with the same hints the bridge has always
+ * printed for a broken .env. See config/bridge.example.json and the
+ * README for the file format.
+ */
+
+const fs = require('fs');
+const { parseClockTime, isValidTimezone } = require('./quiet-hours');
+
+const DEFAULT_PREFIX = 'tg:';
+const DEFAULT_HEADER = '📨 TG | {name}:';
+
+// Digest mode defaults
+const DEFAULT_DIGEST_WINDOW_MINUTES = 10;
+const DEFAULT_URGENT_KEYWORDS = ['urgent', 'asap', 'emergency'];
+
+// What happens to the copy when a bridged message is deleted
+const DELETION_POLICIES = ['delete', 'mark', 'ignore'];
+const DEFAULT_DELETION_POLICY = 'ignore';
+
+// How often the config file is checked for changes
+const WATCH_INTERVAL_MS = 2000;
+
+/**
+ * A configuration mistake
+ * message is the headline, details are the hint lines printed under it.
+ */
+class ConfigError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'ConfigError';
+        this.details = details;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// .env PARSING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Parse FRIEND_TELEGRAM_IDS (comma-separated numeric IDs)
+ * IMPORTANT: it should only contain numeric IDs, not tags!
+ */
+function parseEnvFriendIds(env) {
+    // Support both singular and plural variable names for friend IDs
+    const friendIdsString = env.FRIEND_TELEGRAM_IDS || env.FRIEND_TELEGRAM_ID || '';
+    const friendTags = env.FRIEND_TAGS || '';
+
+    return friendIdsString
+        .split(',')
+        .map(id => id.trim())
+        .filter(id => id && id !== '000000000')
+        .map(id => {
+            // Check if user accidentally put tags in FRIEND_TELEGRAM_IDS
+            if (id.includes(':')) {
+                const [, numId] = id.split(':');
+                throw new ConfigError('Invalid format in FRIEND_TELEGRAM_IDS', [
+                    `   Found: "${id}"`,
+                    `   Expected: Just numeric IDs`,
+                    '\n   Tags should go in FRIEND_TAGS, not FRIEND_TELEGRAM_IDS!',
+                    '\n   Change your .env from:',
+                    `   FRIEND_TELEGRAM_IDS=${friendIdsString}`,
+                    '\n   To:',
+                    `   FRIEND_TELEGRAM_IDS=${numId}${friendIdsString.replace(id, '').replace(/^,|,$/g, '')}`,
+                    `   FRIEND_TAGS=${id}${friendTags ? ',' + friendTags : ''}`
+                ]);
+            }
+
+            // Check if it's a valid number
+            if (!/^\d+$/.test(id)) {
+                throw new ConfigError('Invalid ID in FRIEND_TELEGRAM_IDS', [
+                    `   Found in .env: FRIEND_TELEGRAM_IDS=${friendIdsString}`,
+                    `   Invalid part: "${id}"`,
+                    `   Expected: Only numbers (e.g., "123456789" or "123456789,987654321")`
+                ]);
+            }
+
+            return BigInt(id); // Telegram uses BigInt for user IDs
+        });
+}
+
+/**
+ * Parse TELEGRAM_GROUP_IDS - "marked" IDs as shown by get-friend-id.js:
+ * -123456789 for small groups, -100... for supergroups/channels
+ */
+function parseEnvGroupIds(env) {
+    const groupIdsString = env.TELEGRAM_GROUP_IDS || '';
+
+    return groupIdsString
+        .split(',')
+        .map(id => id.trim())
+        .filter(id => id)
+        .map(id => {
+            if (!/^-\d+$/.test(id)) {
+                throw new ConfigError('Invalid ID in TELEGRAM_GROUP_IDS', [
+                    `   Found in .env: TELEGRAM_GROUP_IDS=${groupIdsString}`,
+                    `   Invalid part: "${id}"`,
+                    `   Expected: Group/channel IDs including the "-" sign (e.g., "-1001234567890")`,
+                    '   Run: node get-friend-id.js to see the IDs of your groups'
+                ]);
+            }
+
+            return BigInt(id);
+        });
+}
+
+/**
+ * Parse FRIEND_TAGS into [{ tag, id }]
+ * Example: "john:123456789,family:-1001234567890"
+ */
+function parseEnvTags(env) {
+    const friendTags = env.FRIEND_TAGS || '';
+
+    return friendTags
+        .split(',')
+        .map(pair => pair.trim())
+        .filter(pair => pair)
+        .map(pair => {
+            const [tag, id] = pair.split(':').map(s => s.trim());
+            if (!tag || !id || !/^-?\d+$/.test(id)) {
+                throw new ConfigError('Invalid tag in FRIEND_TAGS', [
+                    `   Found in .env: FRIEND_TAGS=${friendTags}`,
+                    `   Invalid part: "${pair}"`,
+                    `   Expected: tag:telegram_id (e.g., "john:123456789,mary:987654321")`
+                ]);
+            }
+            return { tag, id: BigInt(id) };
+        });
+}
+
+/**
+ * Parse WHATSAPP_ROUTES into [{ key, chatId, raw }]
+ * Example: "john:120363025246125888@g.us,123456789:34612345678@c.us"
+ */
+function parseEnvRoutes(env) {
+    const routes = env.WHATSAPP_ROUTES || '';
+
+    return routes
+        .split(',')
+        .map(route => route.trim())
+        .filter(route => route)
+        .map(route => {
+            const separator = route.indexOf(':');
+            return {
+                key: separator > 0 ? route.substring(0, separator).trim() : '',
+                chatId: separator > 0 ? route.substring(separator + 1).trim() : '',
+                raw: route
+            };
+        });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CONFIG FILE PARSING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Read and parse the JSON config file
+ * Returns null if the file doesn't exist.
+ */
+function readConfigFile(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return null;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`Could not read config file ${filePath}`, [
+            `   ${error.message}`,
+            '   Expected: valid JSON (see config/bridge.example.json)'
+        ]);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ConfigError(`Invalid config file ${filePath}`, [
+            '   Expected: a JSON object with "friends", "groups", "routes", "formatting", "quietHours", "digest", "deletions", "readReceipts" and/or "typing"'
+        ]);
+    }
+
+    // "$schema" is allowed for files copied from older examples that had one
+    const known = ['$schema', 'friends', 'groups', 'routes', 'formatting', 'quietHours', 'digest', 'deletions', 'readReceipts', 'typing'];
+    for (const key of Object.keys(data)) {
+        if (!known.includes(key)) {
+            throw new ConfigError(`Unknown setting "${key}" in ${filePath}`, [
+                `   Allowed: ${known.slice(1).join(', ')}`
+            ]);
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Parse the "friends" or "groups" list of the config file
+ * Each entry is { "id": "123456789", "tag": "john" } (tag optional).
+ * IDs may be strings or numbers; strings are safer for big IDs.
+ */
+function parseFileEntries(entries, section, filePath) {
+    const isGroup = section === 'groups';
+    const pattern = isGroup ? /^-\d+$/ : /^\d+$/;
+    const example = isGroup ? '{ "id": "-1001234567890", "tag": "family" }' : '{ "id": "123456789", "tag": "john" }';
+
+    if (!Array.isArray(entries)) {
+        throw new ConfigError(`Invalid "${section}" in ${filePath}`, [
+            `   Expected: a list like [ ${example} ]`
+        ]);
+    }
+
+    return entries.map((entry, index) => {
+        const id = entry && entry.id !== undefined ? String(entry.id).trim() : '';
+
+        if (!pattern.test(id)) {
+            throw new ConfigError(`Invalid ID in "${section}" of ${filePath}`, [
+                `   Found: ${JSON.stringify(entry)} (entry ${index + 1})`,
+                isGroup
+                    ? `   Expected: Group/channel IDs including the "-" sign, e.g. ${example}`
+                    : `   Expected: Only numbers, e.g. ${example}`,
+                '   Run: node get-friend-id.js to discover IDs'
+            ]);
+        }
+
+        if (entry.tag !== undefined && (typeof entry.tag !== 'string' || !entry.tag.trim())) {
+            throw new ConfigError(`Invalid tag in "${section}" of ${filePath}`, [
+                `   Found: ${JSON.stringify(entry)} (entry ${index + 1})`,
+                `   Expected: a word, e.g. ${example}`
+            ]);
+        }
+
+        return { id: BigInt(id), tag: entry.tag ? entry.tag.trim() : null };
+    });
+}
+
+/**
+ * Turn the "routes" object of the config file into [{ key, chatId, raw }]
+ * Example: { "john": "120363025246125888@g.us" }
+ */
+function parseFileRoutes(routes, filePath) {
+    if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+        throw new ConfigError(`Invalid "routes" in ${filePath}`, [
+            '   Expected: an object like { "john": "120363025246125888@g.us" }'
+        ]);
+    }
+
+    return Object.entries(routes).map(([key, chatId]) => ({
+        key: key.trim(),
+        chatId: typeof chatId === 'string' ? chatId.trim() : '',
+        raw: `"${key}": ${JSON.stringify(chatId)}`
+    }));
+}
+
+/**
+ * Check the "formatting" object of the config file
+ */
+function parseFileFormatting(formatting, filePath) {
+    if (!formatting || typeof formatting !== 'object' || Array.isArray(formatting)) {
+        throw new ConfigError(`Invalid "formatting" in ${filePath}`, [
+            '   Expected: an object like { "prefix": "tg:", "header": "📨 TG | {name}:" }'
+        ]);
+    }
+
+    for (const key of Object.keys(formatting)) {
+        if (!['prefix', 'header'].includes(key)) {
+            throw new ConfigError(`Unknown setting "formatting.${key}" in ${filePath}`, [
+                '   Allowed: prefix, header'
+            ]);
+        }
+    }
+
+    const { prefix, header } = formatting;
+
+    if (prefix !== undefined && (typeof prefix !== 'string' || !prefix.trim() || /\s/.test(prefix))) {
+        throw new ConfigError(`Invalid "formatting.prefix" in ${filePath}`, [
+            `   Found: ${JSON.stringify(prefix)}`,
+            '   Expected: a short text without spaces, e.g. "tg:"'
+        ]);
+    }
+
+    if (header !== undefined && (typeof header !== 'string' || !header.includes('{name}'))) {
+        throw new ConfigError(`Invalid "formatting.header" in ${filePath}`, [
+            `   Found: ${JSON.stringify(header)}`,
+            '   Expected: a text containing {name}, e.g. "📨 TG | {name}:"'
+        ]);
+    }
+
+    return { prefix, header };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// QUIET HOURS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Check quiet hours, from the file ({ start, end, timezone }) or from
+ * QUIET_HOURS=23:00-07:30 and QUIET_HOURS_TIMEZONE
+ * The timezone defaults to TZ, then to the system timezone.
+ * Returns { start, end, timezone } (minutes after midnight) or null.
+ */
+function parseQuietHours(file, filePath, env) {
+    const fromFile = file && file.quietHours !== undefined;
+    const where = fromFile ? `"quietHours" in ${filePath}` : 'QUIET_HOURS';
+    const defaultTimezone = env.QUIET_HOURS_TIMEZONE || env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    let start;
+    let end;
+    let timezone;
+    let found;
+
+    if (fromFile) {
+        const quietHours = file.quietHours;
+        if (quietHours === null) {
+            return null;
+        }
+        if (typeof quietHours !== 'object' || Array.isArray(quietHours)) {
+            throw new ConfigError(`Invalid ${where}`, [
+                '   Expected: an object like { "start": "23:00", "end": "07:30", "timezone": "Europe/Madrid" }'
+            ]);
+        }
+        ({ start, end } = quietHours);
+        timezone = quietHours.timezone || defaultTimezone;
+        found = JSON.stringify(quietHours);
+    } else {
+        if (!env.QUIET_HOURS) {
+            return null;
+        }
+        [start, end] = env.QUIET_HOURS.split('-').map(part => part.trim());
+        timezone = defaultTimezone;
+        found = `QUIET_HOURS=${env.QUIET_HOURS}`;
+    }
+
+    const startMinutes = parseClockTime(start);
+    const endMinutes = parseClockTime(end);
+
+    if (startMinutes === null || endMinutes === null) {
+        throw new ConfigError(`Invalid ${where}`, [
+            `   Found: ${found}`,
+            fromFile
+                ? '   Expected: 24-hour times, e.g. { "start": "23:00", "end": "07:30" }'
+                : '   Expected: start-end in 24-hour time (e.g., "23:00-07:30")'
+        ]);
+    }
+
+    if (!isValidTimezone(timezone)) {
+        throw new ConfigError(`Unknown timezone "${timezone}" for ${where}`, [
+            '   Expected: a name like "Europe/Madrid" or "America/New_York"'
+        ]);
+    }
+
+    return { start: startMinutes, end: endMinutes, timezone };
+}
+
+/**
+ * The ID of a configured friend/group given by tag or ID, or undefined
+ */
+function findConfiguredId(key, tags, configuredIds) {
+    const tag = String(key).trim().toLowerCase();
+    if (tags[tag] !== undefined) {
+        return tags[tag];
+    }
+    return configuredIds.find(configuredId => configuredId.toString() === String(key).trim());
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DIGEST MODE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Check digest mode, from the file or from the .env fallback:
+ *   "digest": { "friends": "all" | ["john", "123456789"], "windowMinutes": 10,
+ *               "urgentKeywords": ["urgent"] }
+ *   DIGEST=all (or DIGEST=john,mary), DIGEST_WINDOW_MINUTES=10,
+ *   DIGEST_URGENT_KEYWORDS=urgent,asap
+ * Returns { all, chatIds, windowMs, urgentKeywords } or null if off.
+ */
+function parseDigest(file, filePath, env, tags, configuredIds) {
+    const fromFile = file && file.digest !== undefined;
+    const where = fromFile ? `"digest" in ${filePath}` : 'DIGEST';
+
+    let friends;
+    let windowMinutes;
+    let urgentKeywords;
+
+    if (fromFile) {
+        const digest = file.digest;
+        if (digest === null) {
+            return null;
+        }
+        if (typeof digest !== 'object' || Array.isArray(digest)) {
+            throw new ConfigError(`Invalid ${where}`, [
+                '   Expected: an object like { "friends": "all", "windowMinutes": 10, "urgentKeywords": ["urgent"] }'
+            ]);
+        }
+        friends = digest.friends;
+        windowMinutes = digest.windowMinutes;
+        urgentKeywords = digest.urgentKeywords;
+
+        if (friends !== 'all' && !(Array.isArray(friends) && friends.every(friend => typeof friend === 'string' || typeof friend === 'number'))) {
+            throw new ConfigError(`Invalid "digest.friends" in ${filePath}`, [
+                `   Found: ${JSON.stringify(friends)}`,
+                '   Expected: "all" or a list of tags/IDs, e.g. ["john", "mary"]'
+            ]);
+        }
+        if (urgentKeywords !== undefined && !(Array.isArray(urgentKeywords) && urgentKeywords.every(keyword => typeof keyword === 'string'))) {
+            throw new ConfigError(`Invalid "digest.urgentKeywords" in ${filePath}`, [
+                `   Found: ${JSON.stringify(urgentKeywords)}`,
+                '   Expected: a list of words, e.g. ["urgent", "asap"]'
+            ]);
+        }
+    } else {
+        if (!env.DIGEST) {
+            return null;
+        }
+        friends = env.DIGEST.trim().toLowerCase() === 'all'
+            ? 'all'
+            : env.DIGEST.split(',').map(friend => friend.trim()).filter(friend => friend);
+        windowMinutes = env.DIGEST_WINDOW_MINUTES;
+        urgentKeywords = env.DIGEST_URGENT_KEYWORDS !== undefined
+            ? env.DIGEST_URGENT_KEYWORDS.split(',').map(keyword => keyword.trim()).filter(keyword => keyword)
+            : undefined;
+    }
+
+    const window = windowMinutes === undefined || windowMinutes === '' ? DEFAULT_DIGEST_WINDOW_MINUTES : Number(windowMinutes);
+    if (!Number.isFinite(window) || window <= 0) {
+        throw new ConfigError(`Invalid digest window in ${fromFile ? filePath : 'DIGEST_WINDOW_MINUTES'}`, [
+            `   Found: ${JSON.stringify(windowMinutes)}`,
+            '   Expected: minutes, e.g. 10'
+        ]);
+    }
+
+    const chatIds = new Set();
+    if (friends !== 'all') {
+        for (const friend of friends) {
+            const id = findConfiguredId(friend, tags, configuredIds);
+            if (id === undefined) {
+                throw new ConfigError(`Unknown friend "${String(friend).trim()}" in ${where}`, [
+                    fromFile ? `   Found: ${JSON.stringify(friends)}` : `   Found in .env: DIGEST=${env.DIGEST}`,
+                    '   Expected: "all", or tags/IDs of configured friends and groups'
+                ]);
+            }
+            chatIds.add(id.toString());
+        }
+    }
+
+    return {
+        all: friends === 'all',
+        chatIds,
+        windowMs: window * 60 * 1000,
+        urgentKeywords: (urgentKeywords || DEFAULT_URGENT_KEYWORDS).map(keyword => keyword.toLowerCase())
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DELETIONS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Check the deletion policies, from the file or from the .env fallback:
+ *   "deletions": { "default": "mark", "john": "delete", "family": "ignore" }
+ *   DELETIONS=mark,john:delete,family:ignore
+ * A policy is "delete" (remove the copy), "mark" (flag the copy as
+ * deleted) or "ignore" (the default). Returns { default, byChat: { id: policy } }.
+ */
+function parseDeletions(file, filePath, env, tags, configuredIds) {
+    const fromFile = file && file.deletions !== undefined;
+    const where = fromFile ? `"deletions" in ${filePath}` : 'DELETIONS';
+
+    let entries;
+    if (fromFile) {
+        const deletions = file.deletions;
+        if (!deletions || typeof deletions !== 'object' || Array.isArray(deletions)) {
+            throw new ConfigError(`Invalid ${where}`, [
+                '   Expected: an object like { "default": "mark", "john": "delete" }'
+            ]);
+        }
+        entries = Object.entries(deletions);
+    } else {
+        entries = (env.DELETIONS || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(entry => entry)
+            .map(entry => entry.includes(':') ? entry.split(':').map(part => part.trim()) : ['default', entry]);
+    }
+
+    const result = { default: DEFAULT_DELETION_POLICY, byChat: {} };
+    for (const [key, policy] of entries) {
+        if (!DELETION_POLICIES.includes(policy)) {
+            throw new ConfigError(`Invalid deletion policy for "${key}" in ${where}`, [
+                fromFile ? `   Found: ${JSON.stringify(policy)}` : `   Found in .env: DELETIONS=${env.DELETIONS}`,
+                `   Expected: one of ${DELETION_POLICIES.map(name => `"${name}"`).join(', ')}`
+            ]);
+        }
+
+        if (key === 'default') {
+            result.default = policy;
+            continue;
+        }
+
+        const id = findConfiguredId(key, tags, configuredIds);
+        if (id === undefined) {
+            throw new ConfigError(`Unknown friend "${key}" in ${where}`, [
+                '   Expected: "default", or tags/IDs of configured friends and groups'
+            ]);
+        }
+        result.byChat[id.toString()] = policy;
+    }
+
+    return result;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PER-FRIEND OPT-INS (READ RECEIPTS, TYPING INDICATORS)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Check a list of friends/groups that opted in to a feature, from the
+ * file or from the .env fallback:
+ *   "readReceipts": "all" | ["john", "123456789"]
+ *   READ_RECEIPTS=all (or READ_RECEIPTS=john,mary)
+ * Returns { all, chatIds } or null if nobody opted in (the default).
+ */
+function parseChatSelection(file, filePath, env, tags, configuredIds, section, envName) {
+    const fromFile = file && file[section] !== undefined;
+    const where = fromFile ? `"${section}" in ${filePath}` : envName;
+
+    let friends;
+    if (fromFile) {
+        friends = file[section];
+        if (friends === null) {
+            return null;
+        }
+        if (friends !== 'all' && !(Array.isArray(friends) && friends.every(friend => typeof friend === 'string' || typeof friend === 'number'))) {
+            throw new ConfigError(`Invalid ${where}`, [
+                `   Found: ${JSON.stringify(friends)}`,
+                '   Expected: "all" or a list of tags/IDs, e.g. ["john", "mary"]'
+            ]);
+        }
+    } else {
+        if (!env[envName]) {
+            return null;
+        }
+        friends = env[envName].trim().toLowerCase() === 'all'
+            ? 'all'
+            : env[envName].split(',').map(friend => friend.trim()).filter(friend => friend);
+    }
+
+    const chatIds = new Set();
+    if (friends !== 'all') {
+        for (const friend of friends) {
+            const id = findConfiguredId(friend, tags, configuredIds);
+            if (id === undefined) {
+                throw new ConfigError(`Unknown friend "${String(friend).trim()}" in ${where}`, [
+                    fromFile ? `   Found: ${JSON.stringify(friends)}` : `   Found in .env: ${envName}=${env[envName]}`,
+                    '   Expected: "all", or tags/IDs of configured friends and groups'
+                ]);
+            }
+            chatIds.add(id.toString());
+        }
+    }
+
+    return { all: friends === 'all', chatIds };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LOADING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Load and validate the bridge configuration
+ *
+ * @param {object} options
+ * @param {string} [options.filePath] - JSON config file (optional)
+ * @param {object} [options.env=process.env] - Fallback .env values
+ * @param {string} [options.ownChatId] - Your own WhatsApp chat, which can't be routed
+ * @returns {object} {
+ *     filePath,       // the file in use, or null for .env only
+ *     prefix,         // e.g. "tg:"
+ *     header,         // header template, "{name}" is replaced by the sender
+ *     friendIds,      // [BigInt] private chats to bridge
+ *     groupIds,       // [BigInt] groups/channels to bridge (marked IDs)
+ *     tags,           // { tag: BigInt } - lowercase tags
+ *     tagsById,       // { id: tag } - reverse lookup
+ *     routes,         // { id: whatsappChatId }
+ *     routedChats,    // { whatsappChatId: BigInt } - reverse lookup
+ *     quietHours,     // { start, end, timezone } or null
+ *     digest,         // { all, chatIds, windowMs, urgentKeywords } or null
+ *     deletions,      // { default, byChat: { id: policy } }
+ *     readReceipts,   // { all, chatIds } or null
+ *     typing          // { all, chatIds } or null - routed chats only
+ * }
+ * @throws {ConfigError}
+ */
+function loadConfig({ filePath = null, env = process.env, ownChatId = null } = {}) {
+    const file = readConfigFile(filePath);
+    const source = file ? filePath : '.env';
+
+    const friends = file && file.friends !== undefined
+        ? parseFileEntries(file.friends, 'friends', filePath)
+        : null;
+    const groups = file && file.groups !== undefined
+        ? parseFileEntries(file.groups, 'groups', filePath)
+        : null;
+
+    const friendIds = friends ? friends.map(entry => entry.id) : parseEnvFriendIds(env);
+    const groupIds = groups ? groups.map(entry => entry.id) : parseEnvGroupIds(env);
+
+    if (friendIds.length === 0 && groupIds.length === 0) {
+        throw new ConfigError('No valid friend Telegram IDs found', [
+            file
+                ? `   Please add "friends" (or "groups") to ${filePath}`
+                : '   Please set FRIEND_TELEGRAM_IDS (or TELEGRAM_GROUP_IDS) in .env file',
+            '   Run: node get-friend-id.js to discover IDs'
+        ]);
+    }
+
+    // Tags: from the file entries, or FRIEND_TAGS if the file has neither list
+    const tagList = friends || groups
+        ? [...(friends || []), ...(groups || [])].filter(entry => entry.tag)
+        : parseEnvTags(env);
+
+    const tags = {};
+    const tagsById = {};
+    for (const { tag, id } of tagList) {
+        const key = tag.toLowerCase();
+        if (key === 'all' || /[\s:]/.test(key)) {
+            throw new ConfigError(`Invalid tag "${tag}" in ${source}`, [
+                '   Tags must be a single word, without ":" and not "all"'
+            ]);
+        }
+        if (tags[key] !== undefined && tags[key] !== id) {
+            throw new ConfigError(`Tag "${tag}" is used twice in ${source}`, [
+                `   It points to both ${tags[key]} and ${id}`
+            ]);
+        }
+        tags[key] = id;
+        tagsById[id.toString()] = tag;
+    }
+
+    // Routes: which WhatsApp chat each friend/group goes to
+    const routeList = file && file.routes !== undefined
+        ? parseFileRoutes(file.routes, filePath)
+        : parseEnvRoutes(env);
+
+    const routes = {};
+    const routedChats = {};
+    for (const { key, chatId, raw } of routeList) {
+        let peerId = null;
+        if (tags[key.toLowerCase()] !== undefined) {
+            peerId = tags[key.toLowerCase()];
+        } else if (/^-?\d+$/.test(key)) {
+            peerId = BigInt(key);
+        }
+
+        if (peerId === null || !/^[\d-]+@(g|c)\.us$/.test(chatId)) {
+            throw new ConfigError(`Invalid route in ${file && file.routes !== undefined ? filePath : 'WHATSAPP_ROUTES'}`, [
+                file && file.routes !== undefined
+                    ? `   Found: ${raw}`
+                    : `   Found in .env: WHATSAPP_ROUTES=${env.WHATSAPP_ROUTES}`,
+                `   Invalid part: "${key}" → "${chatId}"`,
+                '   Expected: tag_or_telegram_id → whatsapp_chat_id',
+                '   (e.g., john → 120363025246125888@g.us - the tag must be configured)'
+            ]);
+        }
+
+        if (routedChats[chatId] !== undefined && routedChats[chatId] !== peerId) {
+            throw new ConfigError(`Two routes share a WhatsApp chat in ${source}`, [
+                `   Chat: ${chatId}`,
+                '   Each friend needs a chat of their own, so replies know where to go'
+            ]);
+        }
+
+        // Your own chat is where tg: commands live, it can't be a friend's mirror
+        if (chatId === ownChatId) {
+            throw new ConfigError(`Routes can't use your own chat (${ownChatId})`, [
+                '   Create a WhatsApp group for the friend and route them there instead'
+            ]);
+        }
+
+        routes[peerId.toString()] = chatId;
+        routedChats[chatId] = peerId;
+    }
+
+    // Typing indicators only make sense in a friend's own chat: in your
+    // own chat there would be no telling who is typing
+    const typing = parseChatSelection(file, filePath, env, tags, [...friendIds, ...groupIds], 'typing', 'TYPING_INDICATORS');
+    for (const chatId of typing ? typing.chatIds : []) {
+        if (!routes[chatId]) {
+            throw new ConfigError(`Typing indicators for ${tagsById[chatId] || chatId} need a route in ${source}`, [
+                '   Typing is only shown in a friend\'s own WhatsApp chat - add a route for them first'
+            ]);
+        }
+    }
+
+    // Formatting
+    const formatting = file && file.formatting !== undefined
+        ? parseFileFormatting(file.formatting, filePath)
+        : {};
+
+    return {
+        filePath: file ? filePath : null,
+        prefix: formatting.prefix || env.MESSAGE_PREFIX || DEFAULT_PREFIX,
+        header: formatting.header || DEFAULT_HEADER,
+        friendIds,
+        groupIds,
+        tags,
+        tagsById,
+        routes,
+        routedChats,
+        quietHours: parseQuietHours(file, filePath, env),
+        digest: parseDigest(file, filePath, env, tags, [...friendIds, ...groupIds]),
+        deletions: parseDeletions(file, filePath, env, tags, [...friendIds, ...groupIds]),
+        readReceipts: parseChatSelection(file, filePath, env, tags, [...friendIds, ...groupIds], 'readReceipts', 'READ_RECEIPTS'),
+        typing
+    };
+}
+
+/**
+ * Reload the config whenever the file changes (including when it is
+ * created or deleted - without it, the .env values apply again)
+ *
+ * onReload(config) gets the new config, onError(error) a ConfigError
+ * if the edit is invalid. Returns a function that stops watching.
+ */
+function watchConfig(options, { onReload, onError }) {
+    const listener = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) {
+            return;
+        }
+        try {
+            onReload(loadConfig(options));
+        } catch (error) {
+            onError(error);
+        }
+    };
+
+    fs.watchFile(options.filePath, { interval: WATCH_INTERVAL_MS }, listener);
+    return () => fs.unwatchFile(options.filePath, listener);
+}
+
+/**
+ * Fill in the header template for a sender, e.g. "📨 TG | John (john):"
+ */
+function formatHeader(config, name) {
+    return config.header.split('{name}').join(name);
+}
+
+/**
+ * The deletion policy of a friend/group: "delete", "mark" or "ignore"
+ */
+function deletionPolicyFor(config, chatId) {
+    return config.deletions.byChat[chatId.toString()] || config.deletions.default;
+}
+
+/**
+ * Whether a friend/group opted in to a feature, given its selection
+ * (config.readReceipts, config.typing)
+ */
+function isChatSelected(selection, chatId) {
+    return Boolean(selection) && (selection.all || selection.chatIds.has(chatId.toString()));
+}
+
+module.exports = {
+    ConfigError,
+    loadConfig,
+    watchConfig,
+    formatHeader,
+    deletionPolicyFor,
+    isChatSelected
+};
@@ -0,0 +1,74 @@
+/**
+ * DEDUP CACHE
+ *
+ * Remembers recently seen event keys (e.g. WhatsApp message IDs) for a
+ * limited time, so the same event delivered twice is only handled once.
+ *
+ * whatsapp-web.js fires both 'message' and 'message_create' for messages
+ * in your own chat, and both clients can replay events after a reconnect.
+ *
+ * Memory is bounded: entries expire after ttlMs and the oldest ones are
+ * dropped once maxEntries is reached.
+ */
+
+class DedupCache {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.ttlMs=600000] - How long a key is remembered
+     * @param {number} [options.maxEntries=5000] - Most keys kept at once
+     */
+    constructor({ ttlMs = 10 * 60 * 1000, maxEntries = 5000 } = {}) {
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.entries = new Map(); // key → expiry time, oldest first
+    }
+
+    /**
+     * Check a key and remember it
+     * Returns true if the key was already seen (i.e. this is a duplicate).
+     */
+    seen(key) {
+        if (this.has(key)) {
+            return true;
+        }
+        this.add(key);
+        return false;
+    }
+
+    /**
+     * Whether a key was seen recently (without remembering it)
+     */
+    has(key) {
+        this.prune(Date.now());
+        return this.entries.has(key);
+    }
+
+    /**
+     * Remember a key
+     */
+    add(key) {
+        const now = Date.now();
+        this.prune(now);
+        this.entries.delete(key);
+
+        while (this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        this.entries.set(key, now + this.ttlMs);
+    }
+
+    /**
+     * Drop expired keys
+     */
+    prune(now) {
+        for (const [key, expiresAt] of this.entries) {
+            if (expiresAt > now) {
+                break; // Same TTL for all keys, so the rest are newer
+            }
+            this.entries.delete(key);
+        }
+    }
+}
+
+module.exports = { DedupCache };
@@ -0,0 +1,400 @@
+/**
+ * TEXT FORMATTING
+ *
+ * Converts between Telegram's formatting (plain text plus "entities",
+ * each one a style over a range of the text) and WhatsApp's inline
+ * markup:
+ *
+ *   Telegram entity          WhatsApp
+ *   Bold                     *bold*
+ *   Italic                   _italic_
+ *   Strike                   ~strike~
+ *   Code / Pre               ```code```
+ *   Blockquote               > quote (each line)
+ *   TextUrl                  text (https://url)
+ *
+ * Underline and spoilers have no WhatsApp equivalent and are sent as
+ * plain text. Mentions, hashtags, links, etc. are already readable text.
+ *
+ * Both directions are pure functions over strings, so they can be tried
+ * out without a connection to either side.
+ */
+
+const { Api } = require('telegram');
+
+// WhatsApp markers for the inline styles
+const MARKERS = {
+    bold: '*',
+    italic: '_',
+    strike: '~',
+    code: '```'
+};
+
+// Telegram entity class → style name
+const ENTITY_STYLES = {
+    MessageEntityBold: 'bold',
+    MessageEntityItalic: 'italic',
+    MessageEntityStrike: 'strike',
+    MessageEntityCode: 'code',
+    MessageEntityPre: 'code',
+    MessageEntityBlockquote: 'quote',
+    MessageEntityTextUrl: 'link'
+};
+
+// Outermost first when several styles start at the same place
+const STYLE_ORDER = ['quote', 'link', 'code', 'bold', 'italic', 'strike'];
+
+// ═══════════════════════════════════════════════════════════════
+// TELEGRAM → WHATSAPP
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Turn the entities into styles over [start, end) ranges
+ * Entities WhatsApp can't show are dropped. Links keep their URL and
+ * stay separate from each other; the other styles merge by name.
+ */
+function toStyleRanges(text, entities) {
+    const ranges = [];
+    for (const entity of entities || []) {
+        const style = ENTITY_STYLES[entity.className];
+        if (!style || entity.length <= 0) {
+            continue;
+        }
+        const start = Math.max(0, entity.offset);
+        const end = Math.min(text.length, entity.offset + entity.length);
+        if (start >= end) {
+            continue;
+        }
+        ranges.push({
+            key: style === 'link' ? `link:${start}:${entity.url}` : style,
+            style,
+            url: entity.url,
+            start,
+            end
+        });
+    }
+    return ranges;
+}
+
+/**
+ * Cut the text at every place a style starts or ends, so each segment
+ * has one set of styles. Nothing can be styled inside code on WhatsApp,
+ * so code segments keep only the quote around them.
+ */
+function toSegments(text, ranges) {
+    const cuts = new Set([0, text.length]);
+    for (const range of ranges) {
+        cuts.add(range.start);
+        cuts.add(range.end);
+    }
+    const points = [...cuts].sort((a, b) => a - b);
+
+    const segments = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        const start = points[i];
+        const end = points[i + 1];
+        let active = ranges.filter(range => range.start <= start && range.end >= end);
+        if (active.some(range => range.style === 'code')) {
+            active = active.filter(range => range.style === 'code' || range.style === 'quote');
+        }
+
+        // One range per key (overlapping bold entities are one bold run)
+        const byKey = new Map();
+        for (const range of active) {
+            const existing = byKey.get(range.key);
+            if (!existing || range.end > existing.end) {
+                byKey.set(range.key, range);
+            }
+        }
+        segments.push({ text: text.substring(start, end), start, ranges: [...byKey.values()] });
+    }
+    return segments;
+}
+
+/**
+ * Nest the segments into a tree of styles
+ *
+ * Overlapping styles can't be expressed with markers that must nest, so
+ * when an inner style outlives an outer one it is closed and opened
+ * again: bold "one two" + italic "two three" → *one _two_* _three_
+ * Styles that start together are nested so the longest-running one is
+ * outermost, which keeps those re-openings rare.
+ */
+function toTree(segments) {
+    const root = { children: [] };
+    const stack = [{ key: null, node: root }];
+
+    for (const segment of segments) {
+        const keys = new Set(segment.ranges.map(range => range.key));
+
+        // Close everything from the first style that doesn't continue
+        const keep = stack.findIndex((open, index) => index > 0 && !keys.has(open.key));
+        if (keep !== -1) {
+            stack.length = keep;
+        }
+
+        const opened = new Set(stack.map(open => open.key));
+        const toOpen = segment.ranges
+            .filter(range => !opened.has(range.key))
+            .sort((a, b) => (b.end - a.end) || (STYLE_ORDER.indexOf(a.style) - STYLE_ORDER.indexOf(b.style)));
+
+        for (const range of toOpen) {
+            const node = { style: range.style, url: range.url, children: [] };
+            stack[stack.length - 1].node.children.push(node);
+            stack.push({ key: range.key, node });
+        }
+
+        stack[stack.length - 1].node.children.push(segment.text);
+    }
+
+    return root;
+}
+
+/**
+ * Wrap text in a marker, outside any whitespace at its edges
+ * (WhatsApp only formats "*bold*", not "* bold *")
+ */
+function wrapInMarker(text, marker) {
+    const [, leading, core, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+    if (!core) {
+        return text;
+    }
+    return `${leading}${marker}${core}${marker}${trailing}`;
+}
+
+/**
+ * Render one node of the tree as WhatsApp markup
+ *
+ * WhatsApp markers don't reach across a line break, so a style over
+ * several lines is marked on each line, like a quote. Only a ``` block
+ * may span lines.
+ */
+function renderNode(node) {
+    if (typeof node === 'string') {
+        return node;
+    }
+
+    const content = node.children.map(renderNode).join('');
+    if (!node.style) {
+        return content;
+    }
+
+    if (node.style === 'quote') {
+        return content.split('\n').map(line => `> ${line}`).join('\n');
+    }
+
+    if (node.style === 'link') {
+        if (!node.url || content.trim() === node.url) {
+            return content;
+        }
+        return `${content} (${node.url})`;
+    }
+
+    const marker = MARKERS[node.style];
+    if (node.style === 'code' && content.trim().includes('\n')) {
+        return wrapInMarker(content, marker);
+    }
+    return content.split('\n').map(line => wrapInMarker(line, marker)).join('\n');
+}
+
+/**
+ * Convert a Telegram message's text and entities to WhatsApp markup
+ *
+ * @param {string} text - The raw text (message.message, not message.text,
+ *                        which gramjs has already turned into Markdown)
+ * @param {Api.TypeMessageEntity[]} [entities]
+ * @returns {string}
+ */
+function telegramToWhatsApp(text, entities) {
+    if (!text) {
+        return '';
+    }
+    const ranges = toStyleRanges(text, entities);
+    if (ranges.length === 0) {
+        return text;
+    }
+    return renderNode(toTree(toSegments(text, ranges)));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// WHATSAPP → TELEGRAM
+// ═══════════════════════════════════════════════════════════════
+
+// Single-character markers and the entity each one becomes
+const INLINE_MARKERS = {
+    '*': Api.MessageEntityBold,
+    '_': Api.MessageEntityItalic,
+    '~': Api.MessageEntityStrike,
+    '`': Api.MessageEntityCode
+};
+
+const isSpace = (char) => /\s/.test(char);
+
+// WhatsApp markers only count at the edge of a word
+const isWordChar = (char) => char !== undefined && /[\p{L}\p{N}]/u.test(char);
+
+/**
+ * Find where an inline style opened at `open` closes, or -1
+ * "*bold*" needs text right inside both markers, no line break in
+ * between, and no letter or digit right outside the closing one.
+ */
+function findClosingMarker(text, open, marker) {
+    if (isWordChar(text[open - 1]) || open + 1 >= text.length || isSpace(text[open + 1])) {
+        return -1;
+    }
+    for (let i = open + 2; i < text.length; i++) {
+        if (text[i] === '\n') {
+            return -1;
+        }
+        if (text[i] === marker && !isSpace(text[i - 1]) && !isWordChar(text[i + 1])) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Parse inline markup into plain text plus entities (offsets relative
+ * to the returned text)
+ */
+function parseInline(text) {
+    let plain = '';
+    const entities = [];
+    let i = 0;
+
+    while (i < text.length) {
+        // ```monospace``` (may span lines, nothing is parsed inside)
+        if (text.startsWith('```', i)) {
+            const close = text.indexOf('```', i + 3);
+            if (close > i + 3) {
+                // A block written on its own lines keeps only the lines inside
+                const code = text.substring(i + 3, close).replace(/^\n/, '').replace(/\n$/, '');
+                const EntityClass = code.includes('\n') ? Api.MessageEntityPre : Api.MessageEntityCode;
+                const options = { offset: plain.length, length: code.length };
+                entities.push(new EntityClass(EntityClass === Api.MessageEntityPre ? { ...options, language: '' } : options));
+                plain += code;
+                i = close + 3;
+                continue;
+            }
+        }
+
+        const marker = text[i];
+        const EntityClass = INLINE_MARKERS[marker];
+        if (EntityClass) {
+            const close = findClosingMarker(text, i, marker);
+            if (close !== -1) {
+                const inner = marker === '`'
+                    ? { text: text.substring(i + 1, close), entities: [] }
+                    : parseInline(text.substring(i + 1, close));
+                const offset = plain.length;
+                entities.push(new EntityClass({ offset, length: inner.text.length }));
+                for (const entity of inner.entities) {
+                    entity.offset += offset;
+                    entities.push(entity);
+                }
+                plain += inner.text;
+                i = close + 1;
+                continue;
+            }
+        }
+
+        plain += marker;
+        i++;
+    }
+
+    return { text: plain, entities };
+}
+
+/**
+ * Find the styled runs of WhatsApp markup, as they are written
+ *
+ * Returns [{ start, end, marker }] over the markup itself (markers
+ * included), nested runs too, so a long message can be cut between
+ * them instead of through them. Uses the same rules as the parser.
+ */
+function markupRanges(text, base = 0) {
+    const ranges = [];
+    let i = 0;
+
+    while (i < text.length) {
+        if (text.startsWith('```', i)) {
+            const close = text.indexOf('```', i + 3);
+            if (close > i + 3) {
+                ranges.push({ start: base + i, end: base + close + 3, marker: '```' });
+                i = close + 3;
+                continue;
+            }
+        }
+
+        const marker = text[i];
+        if (INLINE_MARKERS[marker]) {
+            const close = findClosingMarker(text, i, marker);
+            if (close !== -1) {
+                ranges.push({ start: base + i, end: base + close + 1, marker });
+                if (marker !== '`') {
+                    ranges.push(...markupRanges(text.substring(i + 1, close), base + i + 1));
+                }
+                i = close + 1;
+                continue;
+            }
+        }
+
+        i++;
+    }
+
+    return ranges;
+}
+
+/**
+ * Convert WhatsApp markup to Telegram text and entities
+ *
+ * Lines starting with "> " become a blockquote. Markers that WhatsApp
+ * wouldn't format (e.g. "2*3*4" or "snake_case_name") are left as they are.
+ *
+ * @param {string} text
+ * @returns {{ text: string, entities: Api.TypeMessageEntity[] }}
+ */
+function whatsAppToTelegram(text) {
+    if (!text) {
+        return { text: '', entities: [] };
+    }
+
+    // Consecutive quoted lines form one blockquote
+    const blocks = [];
+    for (const line of text.split('\n')) {
+        const quoted = /^>\s?/.exec(line);
+        const content = quoted ? line.substring(quoted[0].length) : line;
+        const last = blocks[blocks.length - 1];
+        if (last && last.quoted === Boolean(quoted)) {
+            last.lines.push(content);
+        } else {
+            blocks.push({ quoted: Boolean(quoted), lines: [content] });
+        }
+    }
+
+    let plain = '';
+    const entities = [];
+    blocks.forEach((block, index) => {
+        if (index > 0) {
+            plain += '\n';
+        }
+        const parsed = parseInline(block.lines.join('\n'));
+        const offset = plain.length;
+        if (block.quoted && parsed.text.length > 0) {
+            entities.push(new Api.MessageEntityBlockquote({ offset, length: parsed.text.length }));
+        }
+        for (const entity of parsed.entities) {
+            entity.offset += offset;
+            entities.push(entity);
+        }
+        plain += parsed.text;
+    });
+
+    return { text: plain, entities: entities.sort((a, b) => a.offset - b.offset) };
+}
+
+module.exports = {
+    telegramToWhatsApp,
+    whatsAppToTelegram,
+    markupRanges
+};
@@ -0,0 +1,231 @@
+/**
+ * HELD MESSAGES
+ *
+ * Telegram messages that arrived while their friend was muted, during
+ * quiet hours, or that are batched for a digest. They are kept in SQLite
+ * (so a restart doesn't lose them) and delivered later as one summary
+ * per WhatsApp chat, grouped by sender. Photos, files, locations, polls...
+ * can't be part of a text summary, so they are listed in it and then
+ * forwarded right after it.
+ */
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS held_messages (
+        id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+        record_id           INTEGER NOT NULL,
+        chat_id             TEXT NOT NULL,
+        message_id          TEXT NOT NULL,
+        whatsapp_chat_id    TEXT NOT NULL,
+        sender_name         TEXT NOT NULL,
+        text                TEXT,
+        media_label         TEXT,
+        has_media           INTEGER NOT NULL DEFAULT 0,
+        content             TEXT,
+        source_timestamp    INTEGER NOT NULL,
+        reason              TEXT NOT NULL,
+        created_at          INTEGER NOT NULL
+    );
+`;
+
+// Why a message was held, stored in the "reason" column
+const HOLD_REASON = {
+    MUTED: 'muted',
+    QUIET_HOURS: 'quiet_hours',
+    DIGEST: 'digest'
+};
+
+// How each reason reads in a summary title
+const REASON_TITLES = {
+    [HOLD_REASON.MUTED]: 'held while muted',
+    [HOLD_REASON.QUIET_HOURS]: 'held during quiet hours',
+    [HOLD_REASON.DIGEST]: 'batched for the digest'
+};
+
+class HeldMessages {
+    /**
+     * @param {import('better-sqlite3').Database} db - Shared with the message store
+     */
+    constructor(db) {
+        this.db = db;
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            insert: this.db.prepare(`
+                INSERT INTO held_messages (
+                    record_id, chat_id, message_id, whatsapp_chat_id, sender_name,
+                    text, media_label, has_media, content, source_timestamp, reason, created_at
+                ) VALUES (
+                    @recordId, @chatId, @messageId, @whatsappChatId, @senderName,
+                    @text, @mediaLabel, @hasMedia, @content, @sourceTimestamp, @reason, @now
+                )
+            `),
+            all: this.db.prepare('SELECT * FROM held_messages ORDER BY source_timestamp, id'),
+            remove: this.db.prepare('DELETE FROM held_messages WHERE id = ?'),
+            updateText: this.db.prepare('UPDATE held_messages SET text = ? WHERE chat_id = ? AND message_id = ?'),
+            // A deleted file can't be forwarded anymore, only its label stays
+            markDeleted: this.db.prepare(`
+                UPDATE held_messages SET text = '🗑️ deleted: ' || COALESCE(text, ''), has_media = 0, content = NULL
+                WHERE chat_id = ? AND message_id = ?
+            `),
+            removeMessage: this.db.prepare('DELETE FROM held_messages WHERE chat_id = ? AND message_id = ?'),
+            countByChat: this.db.prepare('SELECT chat_id, COUNT(*) AS count FROM held_messages GROUP BY chat_id'),
+            firstHeldAt: this.db.prepare(`
+                SELECT whatsapp_chat_id, MIN(created_at) AS created_at FROM held_messages
+                WHERE reason = ? GROUP BY whatsapp_chat_id
+            `)
+        };
+    }
+
+    /**
+     * Hold a message for the next summary
+     *
+     * @param {object} held
+     * @param {number} held.recordId - Its row in the message store
+     * @param {string|bigint} held.chatId - Telegram chat
+     * @param {number} held.messageId - Telegram message ID
+     * @param {string} held.whatsappChatId - Where the summary goes
+     * @param {string} held.senderName - As shown in the header
+     * @param {string} [held.text]
+     * @param {string} [held.mediaLabel] - e.g. "📷 Photo"
+     * @param {boolean} [held.hasMedia] - It has a file to forward after the summary
+     * @param {object} [held.content] - A location, contact or poll to send after
+     *                                  the summary (see describeTelegramContent)
+     * @param {number} held.sourceTimestamp - Unix seconds
+     * @param {string} held.reason - One of HOLD_REASON
+     */
+    hold({ recordId, chatId, messageId, whatsappChatId, senderName, text = null, mediaLabel = null,
+        hasMedia = false, content = null, sourceTimestamp, reason }) {
+        this.statements.insert.run({
+            recordId,
+            chatId: String(chatId),
+            messageId: String(messageId),
+            whatsappChatId,
+            senderName,
+            text,
+            mediaLabel,
+            hasMedia: hasMedia ? 1 : 0,
+            content: content ? JSON.stringify(content) : null,
+            sourceTimestamp,
+            reason,
+            now: Date.now()
+        });
+    }
+
+    /**
+     * Remove and return the held messages that may be delivered now
+     * canRelease(row) decides per message. Oldest first.
+     */
+    release(canRelease) {
+        return this.db.transaction(() => {
+            const released = this.statements.all.all().filter(row => canRelease(row));
+            released.forEach(row => this.statements.remove.run(row.id));
+            return released;
+        })();
+    }
+
+    /**
+     * Replace the text of a message that is still held (it was edited)
+     * Returns false if it isn't held (anymore).
+     */
+    updateText(chatId, messageId, text) {
+        return this.statements.updateText.run(text, String(chatId), String(messageId)).changes > 0;
+    }
+
+    /**
+     * Flag a held message as deleted at the source (kept in the summary)
+     * Returns false if it isn't held (anymore).
+     */
+    markDeleted(chatId, messageId) {
+        return this.statements.markDeleted.run(String(chatId), String(messageId)).changes > 0;
+    }
+
+    /**
+     * Drop a held message from the next summary (deleted at the source)
+     * Returns false if it isn't held (anymore).
+     */
+    remove(chatId, messageId) {
+        return this.statements.removeMessage.run(String(chatId), String(messageId)).changes > 0;
+    }
+
+    /**
+     * Number of held messages per Telegram chat, e.g. { '123456789': 3 }
+     */
+    countByChat() {
+        const counts = {};
+        for (const row of this.statements.countByChat.all()) {
+            counts[row.chat_id] = row.count;
+        }
+        return counts;
+    }
+
+    /**
+     * When the oldest message held for a reason was held, per WhatsApp chat
+     * e.g. { '34612345678@c.us': 1760000000000 }
+     */
+    firstHeldAt(reason) {
+        const times = {};
+        for (const row of this.statements.firstHeldAt.all(reason)) {
+            times[row.whatsapp_chat_id] = row.created_at;
+        }
+        return times;
+    }
+}
+
+/**
+ * Whether a held message has something the summary can't show (a file,
+ * location, contact or poll), which is forwarded after it
+ */
+function isForwardedAfterSummary(row) {
+    return Boolean(row.has_media || row.content);
+}
+
+/**
+ * Build the summary of held messages for one WhatsApp chat
+ *
+ * 📬 *3 message(s) held during quiet hours*
+ *
+ * (or 🗞️ *Digest: 3 message(s)* when they were all batched for a digest)
+ *
+ * *John Smith (john)*
+ * [19/10/2026, 23:15] Are you awake?
+ * [19/10/2026, 23:40] [📷 Photo, sent below] Look at this
+ *
+ * Texts are kept whole (a long summary is split into parts when sent).
+ * formatTime(unixSeconds) formats each timestamp.
+ */
+function formatHeldSummary(rows, formatTime) {
+    const reasons = [...new Set(rows.map(row => row.reason))];
+    const title = reasons.length === 1 && reasons[0] === HOLD_REASON.DIGEST
+        ? `🗞️ *Digest: ${rows.length} message(s)*`
+        : `📬 *${rows.length} message(s) ${reasons.map(reason => REASON_TITLES[reason]).join(', ')}*`;
+
+    const lines = [title];
+
+    const bySender = new Map();
+    for (const row of rows) {
+        if (!bySender.has(row.sender_name)) {
+            bySender.set(row.sender_name, []);
+        }
+        bySender.get(row.sender_name).push(row);
+    }
+
+    for (const [senderName, senderRows] of bySender) {
+        lines.push('', `*${senderName}*`);
+        for (const row of senderRows) {
+            const label = row.media_label
+                ? `[${row.media_label}${isForwardedAfterSummary(row) ? ', sent below' : ''}]`
+                : '';
+            const content = [label, row.text].filter(part => part).join(' ');
+            lines.push(`[${formatTime(row.source_timestamp)}] ${content}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    HOLD_REASON,
+    HeldMessages,
+    formatHeldSummary,
+    isForwardedAfterSummary
+};
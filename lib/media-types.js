@@ -0,0 +1,47 @@
+/**
+ * MEDIA TYPE HELPERS
+ *
+ * Small helpers shared by the Telegram and WhatsApp media code:
+ * file extensions for MIME types and human-readable sizes.
+ */
+
+// File extensions for media that arrives without a file name
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/3gpp': '3gp',
+    'video/quicktime': 'mov',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'application/pdf': 'pdf'
+};
+
+/**
+ * File extension for a MIME type, ignoring parameters like "; codecs=opus"
+ */
+function extensionFor(mimetype) {
+    return EXTENSIONS[(mimetype || '').split(';')[0].trim()] || 'bin';
+}
+
+/**
+ * Format a byte count for humans, e.g. 15728640 → "15.0 MB"
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    if (bytes >= 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${bytes} B`;
+}
+
+module.exports = {
+    extensionFor,
+    formatBytes
+};
@@ -0,0 +1,161 @@
+/**
+ * LONG MESSAGES
+ *
+ * Telegram rejects texts over 4096 characters and captions over 1024;
+ * WhatsApp has limits too. Longer messages are split into numbered
+ * parts, cut where a person would cut them:
+ *
+ *   1. between paragraphs
+ *   2. between lines
+ *   3. after a sentence
+ *   4. between words
+ *
+ * and never through a *styled* run or a ```code``` block. Only text
+ * that doesn't fit anywhere else (a huge code block, a word thousands
+ * of characters long) is cut hard, closing its markers at the end of
+ * one part and opening them again at the start of the next.
+ *
+ * Works on WhatsApp markup, so it is used before whatsAppToTelegram()
+ * in one direction and after telegramToWhatsApp() in the other.
+ */
+
+const { markupRanges } = require('./formatting');
+
+// Telegram limits (for non-Premium accounts, which is what we send as)
+const TELEGRAM_TEXT_LIMIT = 4096;
+const TELEGRAM_CAPTION_LIMIT = 1024;
+
+// WhatsApp limits
+const WHATSAPP_TEXT_LIMIT = 65536;
+const WHATSAPP_CAPTION_LIMIT = 1024;
+
+// Room left in each part for its number, "\n(12/34)"
+const PART_NUMBER_RESERVE = 10;
+
+// Room left for closing markers when a styled run has to be cut, "_*```"
+const MARKER_RESERVE = 6;
+
+// A cut is only taken if the part gets at least this share of the room,
+// so a paragraph break near the start doesn't leave a tiny part
+const MIN_PART_SHARE = 0.3;
+
+// Where each kind of cut can go (the part ends right before the match's end)
+const CUT_PATTERNS = [
+    /\n\s*\n/g,                         // paragraphs
+    /\n/g,                              // lines
+    /[.!?…][)"'»”’]*[ \t]+/g,           // sentences
+    /[ \t]+/g                           // words
+];
+
+/**
+ * Whether cutting at `index` would go through a styled run
+ */
+function insideRange(ranges, index) {
+    return ranges.some(range => range.start < index && index < range.end);
+}
+
+/**
+ * Find where the part starting at `start` should end, at most at `end`
+ * Only cuts outside styled runs count, unless `ranges` is empty.
+ * Returns the index of the cut, or -1 if there is no such cut.
+ */
+function findCut(text, ranges, start, end, patterns = CUT_PATTERNS) {
+    const window = text.substring(start, end);
+    const minimum = Math.floor((end - start) * MIN_PART_SHARE);
+
+    for (const pattern of patterns) {
+        let best = -1;
+        for (const match of window.matchAll(pattern)) {
+            const cut = start + match.index + match[0].length;
+            if (match.index >= minimum && !insideRange(ranges, cut)) {
+                best = cut;
+            }
+        }
+        if (best !== -1) {
+            return best;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Don't cut between the two halves of an emoji (a UTF-16 surrogate pair)
+ */
+function safeHardCut(text, index) {
+    const code = text.charCodeAt(index - 1);
+    return code >= 0xD800 && code <= 0xDBFF ? index - 1 : index;
+}
+
+/**
+ * Split a message into parts that fit a platform's limit
+ *
+ * Each part is numbered at its end: "...\n(1/3)". The first
+ * part may have a smaller limit (a media caption, followed by texts).
+ *
+ * @param {string} text - WhatsApp markup
+ * @param {number} limit - Longest allowed part
+ * @param {number} [firstLimit] - Longest allowed first part (defaults to limit)
+ * @returns {string[]} Just [text] if it already fits
+ */
+function splitMessage(text, limit, firstLimit = limit) {
+    if (!text || text.length <= firstLimit) {
+        return [text];
+    }
+
+    const ranges = markupRanges(text);
+    const parts = [];
+    let start = 0;
+    let reopen = '';
+
+    while (start < text.length) {
+        const room = (parts.length === 0 ? firstLimit : limit) - PART_NUMBER_RESERVE - reopen.length;
+
+        if (text.length - start <= room) {
+            parts.push(reopen + text.substring(start));
+            break;
+        }
+
+        let end = findCut(text, ranges, start, start + room);
+        let close = '';
+        let nextReopen = '';
+
+        if (end === -1) {
+            // No clean cut: cut inside the runs (at a line or word if
+            // possible), close them and open them again in the next part
+            // (innermost closes first)
+            const hardEnd = start + room - MARKER_RESERVE;
+            end = findCut(text, [], start, hardEnd, [/\n/g, /[ \t]+/g]);
+            if (end === -1) {
+                end = safeHardCut(text, hardEnd);
+            }
+            const markers = ranges
+                .filter(range => insideRange([range], end))
+                .sort((a, b) => a.start - b.start)
+                .map(range => range.marker);
+            close = [...markers].reverse().join('');
+            nextReopen = markers.join('');
+        }
+
+        parts.push(reopen + text.substring(start, end).replace(/\s+$/, '') + close);
+        reopen = nextReopen;
+
+        // The next part starts at its first visible character
+        start = end;
+        while (start < text.length && /\s/.test(text[start])) {
+            start++;
+        }
+    }
+
+    if (parts.length === 1) {
+        return parts;
+    }
+    return parts.map((part, index) => `${part}\n(${index + 1}/${parts.length})`);
+}
+
+module.exports = {
+    TELEGRAM_TEXT_LIMIT,
+    TELEGRAM_CAPTION_LIMIT,
+    WHATSAPP_TEXT_LIMIT,
+    WHATSAPP_CAPTION_LIMIT,
+    splitMessage
+};
@@ -0,0 +1,279 @@
+/**
+ * MESSAGE STORE
+ *
+ * Local SQLite record of every message the bridge forwards, in both
+ * directions. Each row links a source message (chat + message ID) to
+ * the copy on the other platform, with timestamps, delivery status and
+ * the error text if sending failed.
+ *
+ * This is what lets the bridge correlate messages after a restart
+ * (e.g. quote-replies to older forwarded messages) and keeps an audit
+ * trail beyond the console logs.
+ *
+ * Uses better-sqlite3, which is synchronous - queries are small and
+ * local, so there is no need for callbacks or promises here.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Message directions stored in the "direction" column
+const DIRECTION = {
+    TELEGRAM_TO_WHATSAPP: 'telegram_to_whatsapp',
+    WHATSAPP_TO_TELEGRAM: 'whatsapp_to_telegram'
+};
+
+// Delivery states stored in the "status" column
+const STATUS = {
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed',
+    HELD: 'held', // Waiting for a summary (muted or quiet hours), error holds the reason
+    DELETED: 'deleted' // The source was deleted after it was bridged
+};
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS messages (
+        id                      INTEGER PRIMARY KEY AUTOINCREMENT,
+        direction               TEXT NOT NULL,
+        source_chat_id          TEXT NOT NULL,
+        source_message_id       TEXT NOT NULL,
+        source_timestamp        INTEGER,
+        delayed                 INTEGER NOT NULL DEFAULT 0,
+        destination_chat_id     TEXT NOT NULL,
+        destination_message_id  TEXT,
+        status                  TEXT NOT NULL,
+        error                   TEXT,
+        created_at              INTEGER NOT NULL,
+        updated_at              INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_messages_source
+        ON messages (direction, source_chat_id, source_message_id);
+
+    CREATE INDEX IF NOT EXISTS idx_messages_destination
+        ON messages (direction, destination_message_id);
+`;
+
+class MessageStore {
+    /**
+     * @param {string} filePath - SQLite database file (created if missing)
+     */
+    constructor(filePath) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            insert: this.db.prepare(`
+                INSERT INTO messages (
+                    direction, source_chat_id, source_message_id, source_timestamp, delayed,
+                    destination_chat_id, destination_message_id, status, error,
+                    created_at, updated_at
+                ) VALUES (
+                    @direction, @sourceChatId, @sourceMessageId, @sourceTimestamp, @delayed,
+                    @destinationChatId, @destinationMessageId, @status, @error,
+                    @now, @now
+                )
+            `),
+            get: this.db.prepare('SELECT * FROM messages WHERE id = ?'),
+            update: this.db.prepare(`
+                UPDATE messages
+                SET destination_message_id = @destinationMessageId, status = @status,
+                    error = @error, updated_at = @now
+                WHERE id = @id
+            `),
+            findBySource: this.db.prepare(`
+                SELECT * FROM messages
+                WHERE direction = ? AND source_chat_id = ? AND source_message_id = ?
+                ORDER BY id
+            `),
+            lastDeliveredSource: this.db.prepare(`
+                SELECT MAX(CAST(source_message_id AS INTEGER)) AS last_id FROM messages
+                WHERE direction = ? AND source_chat_id = ? AND status = 'delivered'
+            `),
+            findBySourceMessageId: this.db.prepare(`
+                SELECT * FROM messages
+                WHERE direction = ? AND source_message_id = ?
+                ORDER BY id
+            `),
+            markDeleted: this.db.prepare(`
+                UPDATE messages SET status = 'deleted', updated_at = ?
+                WHERE direction = ? AND source_chat_id = ? AND source_message_id = ? AND status != 'failed'
+            `),
+            findByDestination: this.db.prepare(`
+                SELECT * FROM messages
+                WHERE direction = ? AND destination_message_id = ?
+                ORDER BY id
+            `)
+        };
+    }
+
+    /**
+     * Record a message that is about to be sent
+     *
+     * @param {object} record
+     * @param {string} record.direction - One of DIRECTION
+     * @param {string|number|bigint} record.sourceChatId
+     * @param {string|number} record.sourceMessageId
+     * @param {number} [record.sourceTimestamp] - When the original was sent (unix seconds)
+     * @param {boolean} [record.delayed] - The copy shows it arrived late (catch-up, summary)
+     * @param {string|number|bigint} record.destinationChatId
+     * @returns {number} Row ID, used to mark the message delivered or failed
+     */
+    recordPending({ direction, sourceChatId, sourceMessageId, sourceTimestamp = null, delayed = false, destinationChatId }) {
+        const result = this.statements.insert.run({
+            direction,
+            sourceChatId: String(sourceChatId),
+            sourceMessageId: String(sourceMessageId),
+            sourceTimestamp,
+            delayed: delayed ? 1 : 0,
+            destinationChatId: String(destinationChatId),
+            destinationMessageId: null,
+            status: STATUS.PENDING,
+            error: null,
+            now: Date.now()
+        });
+        return Number(result.lastInsertRowid);
+    }
+
+    /**
+     * Record a message that is held back for a later summary
+     * (muted friend or quiet hours). It counts as handled, so catch-up
+     * won't forward it again; markDelivered() once the summary is sent.
+     * Whatever is forwarded for it then shows it arrived late (delayed).
+     */
+    recordHeld({ direction, sourceChatId, sourceMessageId, sourceTimestamp = null, destinationChatId }, reason) {
+        const result = this.statements.insert.run({
+            direction,
+            sourceChatId: String(sourceChatId),
+            sourceMessageId: String(sourceMessageId),
+            sourceTimestamp,
+            delayed: 1,
+            destinationChatId: String(destinationChatId),
+            destinationMessageId: null,
+            status: STATUS.HELD,
+            error: reason,
+            now: Date.now()
+        });
+        return Number(result.lastInsertRowid);
+    }
+
+    /**
+     * Mark a pending message as delivered
+     *
+     * Some messages become several on the other side (e.g. a header text
+     * plus a voice note), so more than one destination ID can be given;
+     * each extra one gets its own row pointing at the same source.
+     *
+     * @param {number} id - Row ID from recordPending()
+     * @param {string|number|Array<string|number>} destinationMessageIds
+     */
+    markDelivered(id, destinationMessageIds) {
+        const ids = [].concat(destinationMessageIds).map(String);
+        const row = this.statements.get.get(id);
+        const now = Date.now();
+
+        this.db.transaction(() => {
+            this.statements.update.run({
+                id,
+                destinationMessageId: ids[0] || null,
+                status: STATUS.DELIVERED,
+                error: null,
+                now
+            });
+
+            for (const destinationMessageId of ids.slice(1)) {
+                this.statements.insert.run({
+                    direction: row.direction,
+                    sourceChatId: row.source_chat_id,
+                    sourceMessageId: row.source_message_id,
+                    sourceTimestamp: row.source_timestamp,
+                    delayed: row.delayed,
+                    destinationChatId: row.destination_chat_id,
+                    destinationMessageId,
+                    status: STATUS.DELIVERED,
+                    error: null,
+                    now
+                });
+            }
+        })();
+    }
+
+    /**
+     * Mark a pending message as failed, keeping the error text
+     */
+    markFailed(id, error) {
+        this.statements.update.run({
+            id,
+            destinationMessageId: null,
+            status: STATUS.FAILED,
+            error: error instanceof Error ? error.message : String(error),
+            now: Date.now()
+        });
+    }
+
+    /**
+     * All rows bridged from a given source message
+     */
+    findBySource(direction, sourceChatId, sourceMessageId) {
+        return this.statements.findBySource.all(direction, String(sourceChatId), String(sourceMessageId));
+    }
+
+    /**
+     * All rows bridged from a message ID, in any chat
+     * For Telegram deletions, which don't say which chat they happened in.
+     */
+    findBySourceMessageId(direction, sourceMessageId) {
+        return this.statements.findBySourceMessageId.all(direction, String(sourceMessageId));
+    }
+
+    /**
+     * Mark every copy of a source message as deleted (it was deleted at
+     * the source). It still counts as bridged, so it is never sent again.
+     */
+    markDeleted(direction, sourceChatId, sourceMessageId) {
+        this.statements.markDeleted.run(Date.now(), direction, String(sourceChatId), String(sourceMessageId));
+    }
+
+    /**
+     * Whether a source message was already bridged (or is queued to be)
+     * Failed attempts don't count, so those can be bridged again.
+     */
+    isBridged(direction, sourceChatId, sourceMessageId) {
+        return this.findBySource(direction, sourceChatId, sourceMessageId)
+            .some(row => row.status !== STATUS.FAILED);
+    }
+
+    /**
+     * All rows whose copy on the other platform has the given ID
+     */
+    findByDestination(direction, destinationMessageId) {
+        return this.statements.findByDestination.all(direction, String(destinationMessageId));
+    }
+
+    /**
+     * Highest source message ID delivered from a chat, or null if none
+     * Only meaningful for numeric (Telegram) message IDs.
+     */
+    getLastDeliveredSourceId(direction, sourceChatId) {
+        const row = this.statements.lastDeliveredSource.get(direction, String(sourceChatId));
+        return row && row.last_id !== null ? Number(row.last_id) : null;
+    }
+
+    /**
+     * Close the database (on shutdown)
+     */
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = {
+    DIRECTION,
+    STATUS,
+    MessageStore
+};
@@ -0,0 +1,312 @@
+/**
+ * OUTBOX
+ *
+ * Durable queue for messages on their way to the other platform.
+ *
+ * Every message is written to SQLite before it is sent, so nothing is
+ * lost when the target client is not ready (WhatsApp still starting or
+ * re-scanning its QR code, Telegram reconnecting) or the bridge restarts.
+ *
+ * - Jobs wait (without using up attempts) while the target isn't ready
+ * - Failed sends are retried with exponential backoff
+ * - After maxAttempts failures the job is dropped and onGiveUp is called
+ * - Jobs for the same chat are delivered in order: a failing job holds
+ *   back the ones queued after it, so conversations don't get shuffled
+ *
+ * Each kind of job registers a handler:
+ *   outbox.register('kind', {
+ *       lane(payload),                   // optional, jobs in one lane keep their order
+ *       isReady(payload, context),       // can we try now?
+ *       deliver(payload, context, job),  // send it, throw on failure
+ *       onDelivered(payload, job),       // optional
+ *       onGiveUp(payload, error, job)    // optional, permanent failure
+ *   });
+ *
+ * A job that sends several messages (the parts of a long text, an
+ * album...) runs each send as a step of outbox.progress(job, payload),
+ * so a retry picks up at the first message that wasn't sent.
+ *
+ * "context" holds live objects (e.g. the original gramjs message) that
+ * can't be stored in the database. It is only available until the
+ * process restarts, so handlers must be able to work without it.
+ */
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS outbox (
+        id               INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind             TEXT NOT NULL,
+        payload          TEXT NOT NULL,
+        attempts         INTEGER NOT NULL DEFAULT 0,
+        queued           INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at  INTEGER NOT NULL,
+        last_error       TEXT,
+        created_at       INTEGER NOT NULL
+    );
+`;
+
+/**
+ * The sends a job has made so far
+ *
+ * Each send is a named step. Its result (the IDs of what it sent) is
+ * saved with the job's payload as soon as it is done, so when a later
+ * step fails the retry - even after a restart - skips the steps that
+ * already happened instead of sending them twice.
+ */
+class JobProgress {
+    constructor(steps, save, prefix = '') {
+        this.steps = steps;
+        this.save = save;
+        this.prefix = prefix;
+    }
+
+    /**
+     * Run a step unless an earlier attempt already did; returns its result
+     */
+    async step(name, send) {
+        const key = this.prefix + name;
+        if (!(key in this.steps)) {
+            this.steps[key] = await send();
+            this.save();
+        }
+        return this.steps[key];
+    }
+
+    /**
+     * The same progress with its step names under a prefix, for a helper
+     * that runs its own steps ("header/part:0")
+     */
+    scope(name) {
+        return new JobProgress(this.steps, this.save, `${this.prefix}${name}/`);
+    }
+}
+
+class Outbox {
+    /**
+     * @param {import('better-sqlite3').Database} db - Shared with the message store
+     * @param {object} [options]
+     * @param {number} [options.maxAttempts=8] - Failed sends before giving up
+     * @param {number} [options.baseDelayMs=5000] - Delay after the first failure
+     * @param {number} [options.maxDelayMs=600000] - Longest delay between retries
+     * @param {number} [options.pollIntervalMs=5000] - How often waiting jobs are checked
+     */
+    constructor(db, { maxAttempts = 8, baseDelayMs = 5000, maxDelayMs = 10 * 60 * 1000, pollIntervalMs = 5000 } = {}) {
+        this.db = db;
+        this.maxAttempts = maxAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.pollIntervalMs = pollIntervalMs;
+
+        this.handlers = new Map();
+        this.contexts = new Map();
+        this.outcomes = new Map();
+        this.chain = Promise.resolve();
+        this.processing = false;
+        this.timer = null;
+
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            insert: this.db.prepare(`
+                INSERT INTO outbox (kind, payload, next_attempt_at, created_at)
+                VALUES (?, ?, ?, ?)
+            `),
+            all: this.db.prepare('SELECT * FROM outbox ORDER BY id'),
+            remove: this.db.prepare('DELETE FROM outbox WHERE id = ?'),
+            retry: this.db.prepare(`
+                UPDATE outbox SET attempts = ?, next_attempt_at = ?, last_error = ? WHERE id = ?
+            `),
+            markQueued: this.db.prepare('UPDATE outbox SET queued = 1 WHERE id = ?'),
+            updatePayload: this.db.prepare('UPDATE outbox SET payload = ? WHERE id = ?'),
+            countByKind: this.db.prepare('SELECT kind, COUNT(*) AS count FROM outbox GROUP BY kind')
+        };
+    }
+
+    /**
+     * Register the handler for a kind of job
+     */
+    register(kind, handler) {
+        this.handlers.set(kind, handler);
+    }
+
+    /**
+     * Queue a job and try to deliver it straight away
+     *
+     * Resolves once the first attempt is over:
+     *   { delivered: true }                - sent
+     *   { queued: true, error }            - kept for a retry (error is null if
+     *                                        the target just wasn't ready)
+     *   { failed: true, error }            - gave up (maxAttempts of 1)
+     */
+    async send(kind, payload, context = null) {
+        const result = this.statements.insert.run(kind, JSON.stringify(payload), Date.now(), Date.now());
+        const id = Number(result.lastInsertRowid);
+
+        if (context) {
+            this.contexts.set(id, context);
+        }
+
+        this.outcomes.set(id, null);
+        await this.flush();
+
+        const outcome = this.outcomes.get(id);
+        this.outcomes.delete(id);
+
+        if (outcome && outcome.delivered) {
+            return { delivered: true };
+        }
+        if (outcome && outcome.failed) {
+            return { failed: true, error: outcome.error };
+        }
+
+        this.statements.markQueued.run(id);
+        return { queued: true, error: outcome ? outcome.error : null };
+    }
+
+    /**
+     * Process every job that is due, one pass at a time
+     */
+    flush() {
+        this.chain = this.chain
+            .then(() => this.processDueJobs())
+            .catch(error => console.error('❌ Outbox: error while processing jobs:', error.message));
+        return this.chain;
+    }
+
+    /**
+     * Start checking for waiting jobs periodically
+     */
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => {
+                if (!this.processing) {
+                    this.flush();
+                }
+            }, this.pollIntervalMs);
+        }
+    }
+
+    /**
+     * Stop the periodic check (on shutdown)
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Track the steps of a job that sends several messages (see JobProgress)
+     * They are kept in payload.progress.
+     */
+    progress(job, payload) {
+        payload.progress = payload.progress || {};
+        return new JobProgress(payload.progress, () => {
+            this.statements.updatePayload.run(JSON.stringify(payload), job.id);
+        });
+    }
+
+    /**
+     * Number of waiting jobs per kind, e.g. { whatsapp_to_telegram: 2 }
+     */
+    pendingCounts() {
+        const counts = {};
+        for (const row of this.statements.countByKind.all()) {
+            counts[row.kind] = row.count;
+        }
+        return counts;
+    }
+
+    /**
+     * Delay before the next try after a given number of failed attempts
+     */
+    backoffDelay(attempts) {
+        return Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+    }
+
+    async processDueJobs() {
+        this.processing = true;
+        try {
+            await this.processJobs();
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async processJobs() {
+        const blockedLanes = new Set();
+
+        for (const job of this.statements.all.all()) {
+            const handler = this.handlers.get(job.kind);
+            if (!handler) {
+                continue;
+            }
+
+            const payload = JSON.parse(job.payload);
+            const context = this.contexts.get(job.id) || null;
+            const lane = `${job.kind}:${handler.lane ? handler.lane(payload) : ''}`;
+
+            if (blockedLanes.has(lane)) {
+                continue;
+            }
+
+            // Waiting for its retry: later jobs in the lane wait too
+            if (job.next_attempt_at > Date.now()) {
+                blockedLanes.add(lane);
+                continue;
+            }
+
+            // Not ready: keep waiting without using up an attempt
+            if (handler.isReady && !handler.isReady(payload, context)) {
+                blockedLanes.add(lane);
+                continue;
+            }
+
+            try {
+                await handler.deliver(payload, context, job);
+                this.finish(job, { delivered: true });
+
+                if (handler.onDelivered) {
+                    await this.runHook(() => handler.onDelivered(payload, job));
+                }
+            } catch (error) {
+                const attempts = job.attempts + 1;
+
+                if (attempts >= this.maxAttempts) {
+                    this.finish(job, { failed: true, error });
+                    console.error(`❌ Outbox: giving up on ${job.kind} #${job.id} after ${attempts} attempt(s):`, error.message);
+
+                    if (handler.onGiveUp) {
+                        await this.runHook(() => handler.onGiveUp(payload, error, { ...job, attempts }));
+                    }
+                } else {
+                    const delay = this.backoffDelay(attempts);
+                    this.statements.retry.run(attempts, Date.now() + delay, error.message, job.id);
+                    if (this.outcomes.has(job.id)) {
+                        this.outcomes.set(job.id, { error });
+                    }
+                    console.error(`⚠️  Outbox: ${job.kind} #${job.id} failed (attempt ${attempts}/${this.maxAttempts}), ` +
+                        `retrying in ${Math.round(delay / 1000)}s:`, error.message);
+                }
+
+                blockedLanes.add(lane);
+            }
+        }
+    }
+
+    finish(job, outcome) {
+        this.statements.remove.run(job.id);
+        this.contexts.delete(job.id);
+        if (this.outcomes.has(job.id)) {
+            this.outcomes.set(job.id, outcome);
+        }
+    }
+
+    async runHook(hook) {
+        try {
+            await hook();
+        } catch (error) {
+            console.error('⚠️  Outbox: hook failed:', error.message);
+        }
+    }
+}
+
+module.exports = { Outbox };
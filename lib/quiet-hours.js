@@ -0,0 +1,89 @@
+/**
+ * QUIET HOURS
+ *
+ * A daily time window (e.g. 23:00-07:30) in a given timezone during
+ * which Telegram messages are held instead of pushed to WhatsApp.
+ * Windows may cross midnight.
+ */
+
+/**
+ * Parse "HH:MM" into minutes after midnight, or null if invalid
+ */
+function parseClockTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec((text || '').trim());
+    if (!match) {
+        return null;
+    }
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+    return hours * 60 + minutes;
+}
+
+/**
+ * Whether a timezone name (e.g. "Europe/Madrid") is known to Node
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Minutes after midnight of a moment in a timezone
+ */
+function minutesInTimezone(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const hour = parseInt(parts.find(part => part.type === 'hour').value);
+    const minute = parseInt(parts.find(part => part.type === 'minute').value);
+    return hour * 60 + minute;
+}
+
+/**
+ * Whether a moment falls inside the quiet hours
+ *
+ * @param {{ start: number, end: number, timezone: string }} quietHours - minutes after midnight
+ * @param {Date} [date=new Date()]
+ */
+function isQuietTime(quietHours, date = new Date()) {
+    if (!quietHours) {
+        return false;
+    }
+
+    const { start, end, timezone } = quietHours;
+    const now = minutesInTimezone(date, timezone);
+
+    if (start === end) {
+        return false;
+    }
+    if (start < end) {
+        return now >= start && now < end;
+    }
+    // Crosses midnight, e.g. 23:00-07:30
+    return now >= start || now < end;
+}
+
+/**
+ * Format minutes after midnight as "HH:MM"
+ */
+function formatClockTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+    parseClockTime,
+    isValidTimezone,
+    isQuietTime,
+    formatClockTime
+};
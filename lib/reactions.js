@@ -0,0 +1,126 @@
+/**
+ * REACTION MAPPING
+ *
+ * WhatsApp accepts any emoji as a reaction; Telegram only a fixed set
+ * (plus custom emoji for Premium users, which WhatsApp can't show).
+ * These helpers translate between the two. When there is no match the
+ * bridge sends a short text notice instead.
+ */
+
+// Reactions every Telegram chat allows by default (without U+FE0F,
+// the way Telegram writes them)
+const TELEGRAM_REACTIONS = new Set([
+    '👍', '👎', '❤', '🔥', '🥰', '👏', '😁', '🤔', '🤯', '😱', '🤬', '😢', '🎉', '🤩',
+    '🤮', '💩', '🙏', '👌', '🕊', '🤡', '🥱', '🥴', '😍', '🐳', '❤‍🔥', '🌚', '🌭', '💯',
+    '🤣', '⚡', '🍌', '🏆', '💔', '🤨', '😐', '🍓', '🍾', '💋', '🖕', '😈', '😴', '😭',
+    '🤓', '👻', '👨‍💻', '👀', '🎃', '🙈', '😇', '😨', '🤝', '✍', '🤗', '🫡', '🎅', '🎄',
+    '☃', '💅', '🤪', '🗿', '🆒', '💘', '🙉', '🦄', '😘', '💊', '🙊', '😎', '👾', '🤷‍♂',
+    '🤷', '🤷‍♀', '😡'
+]);
+
+// Common WhatsApp reactions that aren't in Telegram's set → closest match
+const TELEGRAM_ALIASES = {
+    '😂': '🤣',
+    '😮': '😱',
+    '😯': '😱',
+    '😲': '😱',
+    '😀': '😁',
+    '😃': '😁',
+    '😄': '😁',
+    '😆': '😁',
+    '😊': '🥰',
+    '☺': '🥰',
+    '🥲': '😢',
+    '😥': '😢',
+    '😞': '😢',
+    '🥳': '🎉',
+    '🎊': '🎉',
+    '✅': '👌',
+    '✔': '👌',
+    '💕': '❤',
+    '💖': '❤',
+    '💗': '❤',
+    '💓': '❤',
+    '♥': '❤',
+    '🧡': '❤',
+    '💛': '❤',
+    '💚': '❤',
+    '💙': '❤',
+    '💜': '❤',
+    '😠': '😡',
+    '🤦': '🤷',
+    '🤦‍♂': '🤷‍♂',
+    '🤦‍♀': '🤷‍♀'
+};
+
+// Telegram emoji that WhatsApp only shows as intended with U+FE0F
+const WHATSAPP_VARIANTS = {
+    '❤': '❤️',
+    '☃': '☃️',
+    '✍': '✍️',
+    '🕊': '🕊️',
+    '❤‍🔥': '❤️‍🔥',
+    '🤷‍♂': '🤷‍♂️',
+    '🤷‍♀': '🤷‍♀️'
+};
+
+/**
+ * Drop skin tones and variation selectors: "👍🏽" → "👍", "❤️" → "❤"
+ */
+function normalizeEmoji(emoji) {
+    return emoji.replace(/[\u{1F3FB}-\u{1F3FF}\u{FE0F}]/gu, '');
+}
+
+/**
+ * The Telegram reaction for a WhatsApp one, or null if there is none
+ */
+function toTelegramReaction(emoji) {
+    const normalized = normalizeEmoji(emoji || '');
+    if (TELEGRAM_REACTIONS.has(normalized)) {
+        return normalized;
+    }
+    return TELEGRAM_ALIASES[normalized] || null;
+}
+
+/**
+ * The WhatsApp reaction for a Telegram one (an Api.TypeReaction), or
+ * null for custom emoji and paid reactions
+ */
+function toWhatsAppReaction(reaction) {
+    if (!reaction || reaction.className !== 'ReactionEmoji') {
+        return null;
+    }
+    return WHATSAPP_VARIANTS[reaction.emoticon] || reaction.emoticon;
+}
+
+/**
+ * The reaction a friend (not you) currently has on a Telegram message,
+ * from its Api.MessageReactions, or null if they have none
+ *
+ * Private chats and small groups list who reacted; elsewhere only the
+ * counts are known, so the most used reaction that isn't yours is taken.
+ */
+function friendReaction(reactions) {
+    if (!reactions) {
+        return null;
+    }
+
+    if (reactions.recentReactions) {
+        const latest = reactions.recentReactions
+            .filter(recent => !recent.my)
+            .sort((a, b) => b.date - a.date)[0];
+        return latest ? latest.reaction : null;
+    }
+
+    const top = (reactions.results || [])
+        .map(result => ({ reaction: result.reaction, count: result.count - (result.chosenOrder !== undefined && result.chosenOrder !== null ? 1 : 0) }))
+        .filter(result => result.count > 0)
+        .sort((a, b) => b.count - a.count)[0];
+    return top ? top.reaction : null;
+}
+
+module.exports = {
+    toTelegramReaction,
+    toWhatsAppReaction,
+    friendReaction
+};
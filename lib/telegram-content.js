@@ -0,0 +1,231 @@
+/**
+ * TELEGRAM CONTENT HELPERS
+ *
+ * Telegram messages that carry something other than text or a file:
+ * locations, contacts, polls, dice, games... (files are handled in
+ * telegram-media.js).
+ *
+ * - Locations and venues become WhatsApp location messages
+ * - Contacts become vCards (WhatsApp contact cards)
+ * - Open polls become WhatsApp polls you can vote on
+ * - Everything else is described in a line of text, so it doesn't vanish
+ *
+ * The descriptions are plain data, so they can be stored with an outbox
+ * job and turned into WhatsApp messages later.
+ */
+
+const { Api } = require('telegram');
+const { Location, Poll } = require('whatsapp-web.js');
+const { ANIMATED_STICKER_MIMETYPE } = require('./telegram-media');
+
+// What each dice emoji is rolling
+const DICE_NAMES = {
+    '🎲': 'Dice',
+    '🎯': 'Darts',
+    '🏀': 'Basketball',
+    '⚽': 'Football',
+    '🎳': 'Bowling',
+    '🎰': 'Slot machine'
+};
+
+// WhatsApp polls take at most this many options
+const WHATSAPP_POLL_OPTION_LIMIT = 12;
+
+/**
+ * Text of a Telegram TextWithEntities (poll questions and answers),
+ * which older layers sent as a plain string
+ */
+function plainText(value) {
+    if (!value) {
+        return '';
+    }
+    return typeof value === 'string' ? value : (value.text || '');
+}
+
+/**
+ * Describe a location, venue or live location
+ */
+function describeLocation(media) {
+    if (!(media.geo instanceof Api.GeoPoint)) {
+        return { kind: 'other', label: '📍 Location (not available)' };
+    }
+
+    const location = {
+        kind: 'location',
+        latitude: media.geo.lat,
+        longitude: media.geo.long,
+        sendable: true
+    };
+
+    if (media instanceof Api.MessageMediaVenue) {
+        return {
+            ...location,
+            label: `📍 ${media.title}${media.address ? `, ${media.address}` : ''}`,
+            name: media.title,
+            address: media.address || undefined
+        };
+    }
+
+    if (media instanceof Api.MessageMediaGeoLive) {
+        // WhatsApp only gets where they were when they started sharing
+        return { ...location, label: '📍 Live location (starting point)', name: 'Live location' };
+    }
+
+    return { ...location, label: `📍 Location ${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}` };
+}
+
+/**
+ * Describe a shared contact
+ */
+function describeContact(media) {
+    const name = [media.firstName, media.lastName].filter(part => part).join(' ') || media.phoneNumber || 'Unknown';
+    return {
+        kind: 'contact',
+        label: `👤 Contact: ${name}${media.phoneNumber ? ` (+${media.phoneNumber.replace(/^\+/, '')})` : ''}`,
+        firstName: media.firstName || '',
+        lastName: media.lastName || '',
+        phoneNumber: media.phoneNumber || '',
+        vcard: media.vcard || '',
+        sendable: true
+    };
+}
+
+/**
+ * Describe a poll or quiz
+ * Closed polls (and ones with more options than WhatsApp allows) can't
+ * be voted on, so they are described with their options instead.
+ */
+function describePoll(media) {
+    const poll = media.poll;
+    const question = plainText(poll.question);
+    const options = poll.answers.map(answer => plainText(answer.text));
+    const title = poll.quiz ? 'Quiz' : 'Poll';
+    const votable = !poll.closed && options.length >= 2 && options.length <= WHATSAPP_POLL_OPTION_LIMIT;
+
+    return {
+        kind: 'poll',
+        label: `📊 ${title}: ${question}`,
+        description: votable ? undefined
+            : [`📊 ${title}${poll.closed ? ' (closed)' : ''}: ${question}`, ...options.map(option => `• ${option}`)].join('\n'),
+        question,
+        options,
+        multipleChoice: Boolean(poll.multipleChoice),
+        sendable: votable
+    };
+}
+
+/**
+ * Describe the content of a Telegram message that isn't text or a file
+ *
+ * Returns null when there is none (or it is a link preview). Otherwise:
+ * { kind, label, sendable, description?, ...fields for the kind }
+ * - label: one line, used in logs and summaries
+ * - sendable: it can be sent as a WhatsApp location, contact or poll
+ *   (toWhatsAppContent); else `description` (or the label) is added to
+ *   the forwarded text
+ */
+function describeTelegramContent(message) {
+    const media = message.media;
+    if (!media || media instanceof Api.MessageMediaEmpty || media instanceof Api.MessageMediaWebPage) {
+        return null;
+    }
+
+    if (media instanceof Api.MessageMediaGeo || media instanceof Api.MessageMediaVenue ||
+        media instanceof Api.MessageMediaGeoLive) {
+        return describeLocation(media);
+    }
+
+    if (media instanceof Api.MessageMediaContact) {
+        return describeContact(media);
+    }
+
+    if (media instanceof Api.MessageMediaPoll) {
+        return describePoll(media);
+    }
+
+    if (media instanceof Api.MessageMediaDice) {
+        return { kind: 'dice', label: `${media.emoticon} ${DICE_NAMES[media.emoticon] || 'Dice'}: ${media.value}` };
+    }
+
+    if (media instanceof Api.MessageMediaDocument && message.sticker &&
+        message.document.mimeType === ANIMATED_STICKER_MIMETYPE) {
+        const sticker = message.document.attributes.find(attribute => attribute instanceof Api.DocumentAttributeSticker);
+        return { kind: 'sticker', label: `🖼️ Animated sticker${sticker && sticker.alt ? ` ${sticker.alt}` : ''}` };
+    }
+
+    if (media instanceof Api.MessageMediaGame) {
+        return { kind: 'game', label: `🎮 Game: ${media.game.title}` };
+    }
+
+    if (media instanceof Api.MessageMediaInvoice) {
+        return { kind: 'invoice', label: `🧾 Invoice: ${media.title}` };
+    }
+
+    if (media instanceof Api.MessageMediaStory) {
+        return { kind: 'story', label: '📖 Story (open Telegram to see it)' };
+    }
+
+    // Photos and documents are telegram-media.js' job
+    if (media instanceof Api.MessageMediaPhoto || media instanceof Api.MessageMediaDocument) {
+        return null;
+    }
+
+    // Giveaways, paid media, types newer than this gramjs version...
+    const type = media instanceof Api.MessageMediaUnsupported ? 'message' : media.className.replace(/^MessageMedia/, '');
+    return { kind: 'other', label: `❔ Unsupported ${type} (open Telegram to see it)` };
+}
+
+/**
+ * Build a vCard for a shared contact
+ * Telegram passes on the vCard the sender's phone made, if there was one.
+ * The waid makes WhatsApp offer to message or add the number.
+ */
+function toVCard(info) {
+    if (info.vcard && info.vcard.trim().startsWith('BEGIN:VCARD')) {
+        return info.vcard.trim();
+    }
+
+    const digits = info.phoneNumber.replace(/\D/g, '');
+    const name = [info.firstName, info.lastName].filter(part => part).join(' ') || `+${digits}`;
+    return [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `N:${info.lastName};${info.firstName};;;`,
+        `FN:${name}`,
+        ...(digits ? [`TEL;type=CELL;waid=${digits}:+${digits}`] : []),
+        'END:VCARD'
+    ].join('\n');
+}
+
+/**
+ * The WhatsApp message for sendable content: { content, options }
+ * for whatsappClient.sendMessage(), or null if it is only described
+ */
+function toWhatsAppContent(info) {
+    if (!info.sendable) {
+        return null;
+    }
+
+    switch (info.kind) {
+        case 'location':
+            return {
+                content: new Location(info.latitude, info.longitude, { name: info.name, address: info.address }),
+                options: {}
+            };
+        case 'contact':
+            // whatsapp-web.js sends text that is a vCard as a contact card
+            return { content: toVCard(info), options: { parseVCards: true } };
+        case 'poll':
+            return {
+                content: new Poll(info.question, info.options, { allowMultipleAnswers: info.multipleChoice }),
+                options: {}
+            };
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    describeTelegramContent,
+    toWhatsAppContent
+};
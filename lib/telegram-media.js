@@ -0,0 +1,152 @@
+/**
+ * TELEGRAM MEDIA HELPERS
+ *
+ * Inspects the media attached to a gramjs message and turns it into
+ * something whatsapp-web.js can send (a MessageMedia plus send options).
+ *
+ * Only "real" files are handled here: photos and documents (videos,
+ * audio, voice notes, stickers, GIFs and generic files are all documents
+ * on Telegram). Link previews are ignored - the link itself is already
+ * in the text. Locations, contacts, polls etc. are in telegram-content.js.
+ */
+
+const { Api } = require('telegram');
+const { MessageMedia } = require('whatsapp-web.js');
+const { extensionFor, formatBytes } = require('./media-types');
+
+// ═══════════════════════════════════════════════════════════════
+// WHATSAPP SIZE LIMITS
+// ═══════════════════════════════════════════════════════════════
+
+// WhatsApp rejects photos, videos and audio above 16 MB
+const WHATSAPP_MEDIA_LIMIT_BYTES = 16 * 1024 * 1024;
+
+// Anything sent as a document may be larger
+const WHATSAPP_DOCUMENT_LIMIT_BYTES = 100 * 1024 * 1024;
+
+// Human-readable labels used in logs and fallback notices
+const KIND_LABELS = {
+    photo: '📷 Photo',
+    video: '🎬 Video',
+    audio: '🎵 Audio',
+    voice: '🎤 Voice message',
+    sticker: '🖼️ Sticker',
+    gif: '🎞️ GIF',
+    document: '📄 File'
+};
+
+// Animated stickers are Lottie animations WhatsApp can't show; they are
+// described instead (see telegram-content.js)
+const ANIMATED_STICKER_MIMETYPE = 'application/x-tgsticker';
+
+/**
+ * Convert a gramjs size (number, BigInt or big-integer) to a plain number
+ */
+function toNumber(size) {
+    if (size === undefined || size === null) {
+        return 0;
+    }
+    return Number(size.toString());
+}
+
+/**
+ * Describe the downloadable media of a Telegram message
+ *
+ * Returns null when the message has no photo or document attached
+ * (or only an animated sticker).
+ * Otherwise: { kind, label, mimetype, filename, size, limit, duration }
+ * (duration in seconds for audio, voice and video, else null)
+ */
+function describeTelegramMedia(message) {
+    let kind;
+
+    if (message.media instanceof Api.MessageMediaPhoto && message.photo) {
+        kind = 'photo';
+    } else if (message.media instanceof Api.MessageMediaDocument && message.document) {
+        if (message.sticker) {
+            if (message.document.mimeType === ANIMATED_STICKER_MIMETYPE) {
+                return null;
+            }
+            kind = 'sticker';
+        } else if (message.gif) {
+            kind = 'gif';
+        } else if (message.voice) {
+            kind = 'voice';
+        } else if (message.video) {
+            kind = 'video';
+        } else if (message.audio) {
+            kind = 'audio';
+        } else {
+            kind = 'document';
+        }
+    } else {
+        return null;
+    }
+
+    const file = message.file;
+    const mimetype = (file && file.mimeType) || 'application/octet-stream';
+    const filename = (file && file.name) || `${kind}-${message.id}.${extensionFor(mimetype)}`;
+    const size = toNumber(file && file.size);
+    const limit = kind === 'document' ? WHATSAPP_DOCUMENT_LIMIT_BYTES : WHATSAPP_MEDIA_LIMIT_BYTES;
+
+    return {
+        kind,
+        label: KIND_LABELS[kind],
+        mimetype,
+        filename,
+        size,
+        limit,
+        duration: (file && file.duration) || null
+    };
+}
+
+/**
+ * Build the WhatsApp MessageMedia for a downloaded Telegram file
+ */
+function toWhatsAppMedia(info, buffer) {
+    return new MessageMedia(info.mimetype, buffer.toString('base64'), info.filename, buffer.length);
+}
+
+/**
+ * WhatsApp send options for a media kind
+ * Audio, voice notes and stickers can't carry a caption on WhatsApp,
+ * so callers must send the text separately for those.
+ * Voice messages become push-to-talk voice notes, stickers WhatsApp
+ * stickers (video stickers are converted with ffmpeg) and GIFs
+ * autoplaying GIFs.
+ */
+function whatsAppSendOptions(info, caption) {
+    if (info.kind === 'voice') {
+        return { sendAudioAsVoice: true };
+    }
+    if (info.kind === 'sticker') {
+        return { sendMediaAsSticker: true };
+    }
+    if (info.kind === 'gif') {
+        return { caption, sendVideoAsGif: true };
+    }
+    if (info.kind === 'audio') {
+        return {};
+    }
+    if (info.kind === 'document') {
+        return { caption, sendMediaAsDocument: true };
+    }
+    return { caption };
+}
+
+/**
+ * Whether WhatsApp accepts a caption for this media kind
+ */
+function supportsCaption(info) {
+    return info.kind !== 'audio' && info.kind !== 'voice' && info.kind !== 'sticker';
+}
+
+module.exports = {
+    WHATSAPP_MEDIA_LIMIT_BYTES,
+    WHATSAPP_DOCUMENT_LIMIT_BYTES,
+    ANIMATED_STICKER_MIMETYPE,
+    describeTelegramMedia,
+    toWhatsAppMedia,
+    whatsAppSendOptions,
+    supportsCaption
+};
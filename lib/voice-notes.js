@@ -0,0 +1,80 @@
+/**
+ * VOICE NOTE HELPERS
+ *
+ * Telegram voice messages and WhatsApp voice notes (push-to-talk) are
+ * both OGG/Opus, so they usually pass through untouched. Anything else
+ * (e.g. an MP3 or M4A recorded by another app) is transcoded to
+ * OGG/Opus with ffmpeg first, so it still plays as a voice note.
+ *
+ * ffmpeg is installed in the Docker image; elsewhere set FFMPEG_PATH if
+ * it isn't on the PATH. Without it, such files are sent as plain audio.
+ */
+
+const { spawn } = require('child_process');
+
+// What both apps use for voice notes
+const VOICE_MIMETYPE = 'audio/ogg; codecs=opus';
+
+// Give up on a transcode that takes longer than this
+const TRANSCODE_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Whether an audio file must be transcoded to be sent as a voice note
+ * "audio/ogg" is assumed to be Opus - that's what both apps record.
+ */
+function needsTranscoding(mimetype) {
+    const type = (mimetype || '').split(';')[0].trim().toLowerCase();
+    return type !== 'audio/ogg' && type !== 'audio/opus';
+}
+
+/**
+ * Transcode any audio to mono OGG/Opus with ffmpeg (stdin → stdout)
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<Buffer>}
+ */
+function transcodeToVoice(buffer) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', [
+            '-hide_banner', '-loglevel', 'error',
+            '-i', 'pipe:0',
+            '-vn', '-ac', '1', '-ar', '48000',
+            '-c:a', 'libopus', '-b:a', '32k',
+            '-f', 'ogg', 'pipe:1'
+        ]);
+
+        const output = [];
+        const errors = [];
+        const timer = setTimeout(() => {
+            ffmpeg.kill('SIGKILL');
+            reject(new Error(`ffmpeg took longer than ${TRANSCODE_TIMEOUT_MS / 1000}s`));
+        }, TRANSCODE_TIMEOUT_MS);
+
+        ffmpeg.stdout.on('data', (chunk) => output.push(chunk));
+        ffmpeg.stderr.on('data', (chunk) => errors.push(chunk));
+
+        ffmpeg.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error.code === 'ENOENT' ? new Error('ffmpeg is not installed') : error);
+        });
+
+        ffmpeg.on('close', (code) => {
+            clearTimeout(timer);
+            if (code === 0 && output.length > 0) {
+                resolve(Buffer.concat(output));
+            } else {
+                reject(new Error(`ffmpeg failed (exit code ${code}): ${Buffer.concat(errors).toString().trim()}`));
+            }
+        });
+
+        // ffmpeg may stop reading early (e.g. on a broken file)
+        ffmpeg.stdin.on('error', () => {});
+        ffmpeg.stdin.end(buffer);
+    });
+}
+
+module.exports = {
+    VOICE_MIMETYPE,
+    needsTranscoding,
+    transcodeToVoice
+};
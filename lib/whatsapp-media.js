@@ -0,0 +1,66 @@
+/**
+ * WHATSAPP MEDIA HELPERS
+ *
+ * Turns media downloaded with whatsapp-web.js (msg.downloadMedia())
+ * into a file gramjs can upload with telegramClient.sendFile(), keeping
+ * the media type: photos stay photos, voice notes stay voice notes, etc.
+ */
+
+const { Api } = require('telegram');
+const { CustomFile } = require('telegram/client/uploads');
+const { extensionFor } = require('./media-types');
+
+// Human-readable labels for the WhatsApp message types we forward
+const TYPE_LABELS = {
+    image: '📷 Photo',
+    video: '🎬 Video',
+    audio: '🎵 Audio',
+    ptt: '🎤 Voice message',
+    document: '📄 File',
+    sticker: '🖼️ Sticker'
+};
+
+/**
+ * Label for a WhatsApp media message, e.g. "🎤 Voice message"
+ */
+function describeWhatsAppMedia(msg) {
+    return TYPE_LABELS[msg.type] || '📎 Attachment';
+}
+
+/**
+ * Build the sendFile() parameters for a downloaded WhatsApp media file
+ *
+ * gramjs decides between photo, video, audio and document from the file
+ * name, so media without a name gets one with the right extension.
+ * Voice notes keep their duration (msg.duration, in seconds).
+ * Only msg.type, msg.timestamp and msg.duration are used, so a stored
+ * copy of those works too.
+ */
+function toTelegramFile(msg, media, caption) {
+    const buffer = Buffer.from(media.data, 'base64');
+    const mimeType = media.mimetype.split(';')[0].trim();
+    const filename = media.filename || `${msg.type}-${msg.timestamp || Date.now()}.${extensionFor(mimeType)}`;
+
+    const file = {
+        file: new CustomFile(filename, buffer.length, '', buffer),
+        caption,
+        mimeType,
+        forceDocument: msg.type === 'document',
+        voiceNote: msg.type === 'ptt',
+        supportsStreaming: msg.type === 'video'
+    };
+
+    if (msg.type === 'ptt') {
+        file.attributes = [new Api.DocumentAttributeAudio({
+            voice: true,
+            duration: Math.round(Number(msg.duration) || 0)
+        })];
+    }
+
+    return file;
+}
+
+module.exports = {
+    describeWhatsAppMedia,
+    toTelegramFile
+};
@@ -0,0 +1,172 @@
+/**
+ * TEST TEXT FORMATTING
+ *
+ * Checks the conversion between Telegram entities and WhatsApp markup
+ * (lib/formatting.js). No connection or credentials needed.
+ *
+ * Run with: npm run test:formatting
+ */
+
+const assert = require('assert');
+const { Api } = require('telegram');
+const { telegramToWhatsApp, whatsAppToTelegram } = require('./lib/formatting');
+
+// ═══════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+const bold = (offset, length) => new Api.MessageEntityBold({ offset, length });
+const italic = (offset, length) => new Api.MessageEntityItalic({ offset, length });
+const strike = (offset, length) => new Api.MessageEntityStrike({ offset, length });
+const code = (offset, length) => new Api.MessageEntityCode({ offset, length });
+const pre = (offset, length) => new Api.MessageEntityPre({ offset, length, language: '' });
+const link = (offset, length, url) => new Api.MessageEntityTextUrl({ offset, length, url });
+const quote = (offset, length) => new Api.MessageEntityBlockquote({ offset, length });
+
+/**
+ * Entities as short strings, e.g. "Bold 0+4", in offset order
+ */
+function describeEntities(entities) {
+    return entities
+        .map(entity => `${entity.className.replace(/^MessageEntity/, '')} ${entity.offset}+${entity.length}`)
+        .sort();
+}
+
+function assertTelegram(markup, expectedText, expectedEntities) {
+    const result = whatsAppToTelegram(markup);
+    assert.strictEqual(result.text, expectedText);
+    assert.deepStrictEqual(describeEntities(result.entities), [...expectedEntities].sort());
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        passed++;
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`❌ ${name}`);
+        console.log(`   ${error.message.split('\n').join('\n   ')}`);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TELEGRAM → WHATSAPP
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n📤 Telegram → WhatsApp\n');
+
+test('plain text is left alone', () => {
+    assert.strictEqual(telegramToWhatsApp('2*3*4 and snake_case', []), '2*3*4 and snake_case');
+});
+
+test('whitespace at the edges goes outside the markers', () => {
+    assert.strictEqual(telegramToWhatsApp('say hi there', [bold(3, 4)]), 'say *hi* there');
+});
+
+test('multi-line bold is marked on each line', () => {
+    assert.strictEqual(telegramToWhatsApp('one\ntwo \n\nthree', [bold(0, 15)]), '*one*\n*two* \n\n*three*');
+});
+
+test('multi-line italic and strike are marked on each line', () => {
+    assert.strictEqual(telegramToWhatsApp('a\nb', [italic(0, 3)]), '_a_\n_b_');
+    assert.strictEqual(telegramToWhatsApp('a\nb', [strike(0, 3)]), '~a~\n~b~');
+});
+
+test('multi-line bold inside a quote', () => {
+    assert.strictEqual(telegramToWhatsApp('a\nb', [quote(0, 3), bold(0, 3)]), '> *a*\n> *b*');
+});
+
+test('multi-line code stays one block', () => {
+    assert.strictEqual(telegramToWhatsApp('x = 1\ny = 2', [pre(0, 11)]), '```x = 1\ny = 2```');
+});
+
+test('nested styles', () => {
+    assert.strictEqual(telegramToWhatsApp('bold both', [bold(0, 9), italic(5, 4)]), '*bold _both_*');
+    assert.strictEqual(telegramToWhatsApp('all', [bold(0, 3), italic(0, 3), strike(0, 3)]), '*_~all~_*');
+});
+
+test('nested styles over several lines', () => {
+    assert.strictEqual(
+        telegramToWhatsApp('first line\nsecond', [bold(0, 17), italic(6, 11)]),
+        '*first _line_*\n*_second_*'
+    );
+});
+
+test('overlapping styles are closed and opened again', () => {
+    assert.strictEqual(
+        telegramToWhatsApp('one two three', [bold(0, 7), italic(4, 9)]),
+        '*one _two_* _three_'
+    );
+});
+
+test('link in bold keeps its URL inside the bold', () => {
+    assert.strictEqual(
+        telegramToWhatsApp('see site now', [bold(0, 12), link(4, 4, 'https://example.com')]),
+        '*see site (https://example.com) now*'
+    );
+});
+
+test('link whose text is its URL is not repeated', () => {
+    assert.strictEqual(
+        telegramToWhatsApp('https://example.com', [link(0, 19, 'https://example.com')]),
+        'https://example.com'
+    );
+});
+
+test('code in bold splits the bold around it', () => {
+    assert.strictEqual(telegramToWhatsApp('run npm test now', [bold(0, 16), code(4, 8)]), '*run* ```npm test``` *now*');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// WHATSAPP → TELEGRAM
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n📥 WhatsApp → Telegram\n');
+
+test('markers that WhatsApp would not format are left alone', () => {
+    assertTelegram('2*3*4 and snake_case_name', '2*3*4 and snake_case_name', []);
+});
+
+test('markers do not reach across lines', () => {
+    assertTelegram('*not\nbold*', '*not\nbold*', []);
+});
+
+test('multi-line bold, one run per line', () => {
+    assertTelegram('*one*\n*two*', 'one\ntwo', ['Bold 0+3', 'Bold 4+3']);
+});
+
+test('multi-line code block', () => {
+    assertTelegram('```x = 1\ny = 2```', 'x = 1\ny = 2', ['Pre 0+11']);
+});
+
+test('quoted lines become one blockquote', () => {
+    assertTelegram('> *a*\n> *b*\nafter', 'a\nb\nafter', ['Blockquote 0+3', 'Bold 0+1', 'Bold 2+1']);
+});
+
+test('nested styles', () => {
+    assertTelegram('*bold _both_*', 'bold both', ['Bold 0+9', 'Italic 5+4']);
+});
+
+test('overlapping styles', () => {
+    assertTelegram('*one _two_* _three_', 'one two three', ['Bold 0+7', 'Italic 4+3', 'Italic 8+5']);
+});
+
+test('link in bold', () => {
+    assertTelegram('*see https://example.com*', 'see https://example.com', ['Bold 0+23']);
+});
+
+test('code in bold', () => {
+    assertTelegram('*run `npm test`*', 'run npm test', ['Bold 0+12', 'Code 4+8']);
+    assertTelegram('*run* ```npm test``` *now*', 'run npm test now', ['Bold 0+3', 'Code 4+8', 'Bold 13+3']);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════════════════
+
+console.log(`\n${failed === 0 ? '🎉' : '💥'} ${passed} passed, ${failed} failed\n`);
+process.exitCode = failed === 0 ? 0 : 1;
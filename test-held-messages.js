@@ -0,0 +1,182 @@
+/**
+ * TEST HELD MESSAGES
+ *
+ * Checks how messages held while muted, during quiet hours or for a
+ * digest are stored, released and summarised (lib/held-messages.js).
+ * Uses an in-memory database, no connection or credentials needed.
+ *
+ * Run with: npm run test:held
+ */
+
+const assert = require('assert');
+const Database = require('better-sqlite3');
+const { HOLD_REASON, HeldMessages, formatHeldSummary, isForwardedAfterSummary } = require('./lib/held-messages');
+
+// ═══════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+const formatTime = (unixSeconds) => `t${unixSeconds}`;
+
+/**
+ * A fresh store with a held message per entry (defaults for the rest)
+ */
+function heldStore(entries) {
+    const held = new HeldMessages(new Database(':memory:'));
+    entries.forEach((entry, index) => held.hold({
+        recordId: index + 1,
+        chatId: '123',
+        messageId: index + 1,
+        whatsappChatId: 'me@c.us',
+        senderName: 'John (john)',
+        sourceTimestamp: index + 1,
+        reason: HOLD_REASON.DIGEST,
+        ...entry
+    }));
+    return held;
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        passed++;
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`❌ ${name}`);
+        console.log(`   ${error.message.split('\n').join('\n   ')}`);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HOLDING AND RELEASING
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n📥 Holding and releasing\n');
+
+test('released messages come out oldest first and are gone afterwards', () => {
+    const held = heldStore([
+        { text: 'second', sourceTimestamp: 20 },
+        { text: 'first', sourceTimestamp: 10 }
+    ]);
+    assert.deepStrictEqual(held.release(() => true).map(row => row.text), ['first', 'second']);
+    assert.deepStrictEqual(held.release(() => true), []);
+});
+
+test('only the messages that may go out are released', () => {
+    const held = heldStore([
+        { text: 'muted', reason: HOLD_REASON.MUTED },
+        { text: 'digest' }
+    ]);
+    const released = held.release(row => row.reason === HOLD_REASON.DIGEST);
+    assert.deepStrictEqual(released.map(row => row.text), ['digest']);
+    assert.deepStrictEqual(held.countByChat(), { 123: 1 });
+});
+
+test('a file, location or poll is kept for forwarding after the summary', () => {
+    const location = { kind: 'location', label: '📍 Location', latitude: 1.5, longitude: 2.5, sendable: true };
+    const held = heldStore([
+        { text: 'look', mediaLabel: '📷 Photo', hasMedia: true },
+        { mediaLabel: '📍 Location', content: location },
+        { text: 'just text' }
+    ]);
+    const [photo, place, text] = held.release(() => true);
+
+    assert.strictEqual(isForwardedAfterSummary(photo), true);
+    assert.strictEqual(isForwardedAfterSummary(place), true);
+    assert.deepStrictEqual(JSON.parse(place.content), location);
+    assert.strictEqual(isForwardedAfterSummary(text), false);
+});
+
+test('a held message can be edited, flagged as deleted or dropped', () => {
+    const held = heldStore([
+        { text: 'typo' },
+        { text: 'gone', mediaLabel: '📷 Photo', hasMedia: true },
+        { text: 'dropped' }
+    ]);
+    assert.strictEqual(held.updateText('123', 1, 'fixed'), true);
+    assert.strictEqual(held.markDeleted('123', 2), true);
+    assert.strictEqual(held.remove('123', 3), true);
+    assert.strictEqual(held.updateText('123', 99, 'not held'), false);
+
+    const [edited, deleted] = held.release(() => true);
+    assert.strictEqual(edited.text, 'fixed');
+    assert.strictEqual(deleted.text, '🗑️ deleted: gone');
+    // A deleted file can't be forwarded anymore
+    assert.strictEqual(isForwardedAfterSummary(deleted), false);
+});
+
+test('the digest window starts with the oldest digested message per chat', () => {
+    const held = heldStore([
+        { whatsappChatId: 'a@g.us' },
+        { whatsappChatId: 'b@g.us', reason: HOLD_REASON.QUIET_HOURS }
+    ]);
+    const started = held.firstHeldAt(HOLD_REASON.DIGEST);
+    assert.deepStrictEqual(Object.keys(started), ['a@g.us']);
+    assert.ok(started['a@g.us'] <= Date.now());
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARIES
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n📬 Summaries\n');
+
+test('a digest summary is titled as a digest and grouped by sender', () => {
+    const rows = heldStore([
+        { text: 'hi' },
+        { text: 'hello', senderName: 'Mary (mary)' },
+        { text: 'again' }
+    ]).release(() => true);
+
+    assert.strictEqual(formatHeldSummary(rows, formatTime), [
+        '🗞️ *Digest: 3 message(s)*',
+        '',
+        '*John (john)*',
+        '[t1] hi',
+        '[t3] again',
+        '',
+        '*Mary (mary)*',
+        '[t2] hello'
+    ].join('\n'));
+});
+
+test('a summary for several reasons names them all', () => {
+    const rows = heldStore([
+        { text: 'a', reason: HOLD_REASON.MUTED },
+        { text: 'b', reason: HOLD_REASON.QUIET_HOURS }
+    ]).release(() => true);
+
+    assert.strictEqual(formatHeldSummary(rows, formatTime).split('\n')[0],
+        '📬 *2 message(s) held while muted, held during quiet hours*');
+});
+
+test('long texts are kept whole', () => {
+    const long = 'word '.repeat(400).trim();
+    const rows = heldStore([{ text: long, reason: HOLD_REASON.MUTED }]).release(() => true);
+    assert.ok(formatHeldSummary(rows, formatTime).endsWith(`[t1] ${long}`));
+});
+
+test('media and content forwarded after the summary are marked as such', () => {
+    const rows = heldStore([
+        { text: 'look', mediaLabel: '📷 Photo', hasMedia: true },
+        { mediaLabel: '🎤 Voice message', hasMedia: true },
+        { text: '🎲 Dice: 4' }
+    ]).release(() => true);
+
+    assert.deepStrictEqual(formatHeldSummary(rows, formatTime).split('\n').slice(-3), [
+        '[t1] [📷 Photo, sent below] look',
+        '[t2] [🎤 Voice message, sent below]',
+        '[t3] 🎲 Dice: 4'
+    ]);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════════════════
+
+console.log(`\n${failed === 0 ? '🎉' : '💥'} ${passed} passed, ${failed} failed\n`);
+process.exitCode = failed === 0 ? 0 : 1;
@@ -0,0 +1,220 @@
+/**
+ * TEST LONG MESSAGES
+ *
+ * Checks how long messages are split into numbered parts
+ * (lib/message-splitting.js) and that a send interrupted halfway picks
+ * up at the first part that wasn't sent (JobProgress in lib/outbox.js).
+ * Uses an in-memory database, no connection or credentials needed.
+ *
+ * Run with: npm run test:splitting
+ */
+
+const assert = require('assert');
+const Database = require('better-sqlite3');
+const { splitMessage } = require('./lib/message-splitting');
+const { Outbox } = require('./lib/outbox');
+
+// ═══════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Split, check every part fits and has its number, and return the parts
+ * without their numbers
+ */
+function split(text, limit, firstLimit = limit) {
+    const parts = splitMessage(text, limit, firstLimit);
+    if (parts.length === 1) {
+        return parts;
+    }
+    return parts.map((part, index) => {
+        assert.ok(part.length <= (index === 0 ? firstLimit : limit), `part ${index + 1} is too long: ${part.length}`);
+        const suffix = `\n(${index + 1}/${parts.length})`;
+        assert.ok(part.endsWith(suffix), `part ${index + 1} is not numbered: ${JSON.stringify(part)}`);
+        return part.slice(0, -suffix.length);
+    });
+}
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`❌ ${name}`);
+        console.log(`   ${error.message.split('\n').join('\n   ')}`);
+    }
+}
+
+(async () => {
+    // ═══════════════════════════════════════════════════════════════
+    // WHERE MESSAGES ARE CUT
+    // ═══════════════════════════════════════════════════════════════
+
+    console.log('\n✂️  Splitting\n');
+
+    await test('a message that fits is left alone', () => {
+        assert.deepStrictEqual(splitMessage('short', 50), ['short']);
+        assert.deepStrictEqual(splitMessage('', 50), ['']);
+    });
+
+    await test('parts are numbered at their end', () => {
+        assert.deepStrictEqual(splitMessage(`${'a'.repeat(30)}\n${'b'.repeat(30)}`, 50), [
+            `${'a'.repeat(30)}\n(1/2)`,
+            `${'b'.repeat(30)}\n(2/2)`
+        ]);
+    });
+
+    await test('a paragraph break is preferred over a later line break', () => {
+        const text = `${'a'.repeat(20)}\n\n${'b'.repeat(10)}\n${'c'.repeat(25)}`;
+        assert.deepStrictEqual(split(text, 50), ['a'.repeat(20), `${'b'.repeat(10)}\n${'c'.repeat(25)}`]);
+    });
+
+    await test('then a line break', () => {
+        const text = `${'a'.repeat(15)} ${'b'.repeat(10)}\n${'c'.repeat(30)}`;
+        assert.deepStrictEqual(split(text, 50), [`${'a'.repeat(15)} ${'b'.repeat(10)}`, 'c'.repeat(30)]);
+    });
+
+    await test('then the end of a sentence', () => {
+        assert.deepStrictEqual(split('First sentence here. Second one is longer than that.', 40),
+            ['First sentence here.', 'Second one is longer than', 'that.']);
+    });
+
+    await test('then a space between words', () => {
+        assert.deepStrictEqual(split('one two three four five six seven eight nine', 30),
+            ['one two three four', 'five six seven', 'eight nine']);
+    });
+
+    await test('a styled run is not cut when there is room around it', () => {
+        const parts = split('intro words here *bold run that is long* and more words after it', 40);
+        assert.ok(parts.some(part => part.includes('*bold run that is long*')), JSON.stringify(parts));
+    });
+
+    await test('a run too long for one part is closed and opened again', () => {
+        assert.deepStrictEqual(split(`*${'x '.repeat(30)}x*`, 30), [
+            '*x x x x x x*', '*x x x x x x*', '*x x x x x x*', '*x x x x x x*', '*x x x x x x x*'
+        ]);
+    });
+
+    await test('nested runs close innermost first and reopen outermost first', () => {
+        for (const part of split(`_*${'y'.repeat(40)}*_`, 30)) {
+            assert.ok(/^_\*y+\*_$/.test(part), JSON.stringify(part));
+        }
+    });
+
+    await test('a text without any space is cut hard', () => {
+        assert.strictEqual(split('x'.repeat(60), 30).join(''), 'x'.repeat(60));
+    });
+
+    await test('emoji are not cut in half', () => {
+        for (const part of split('\u{1F600}'.repeat(20), 25)) {
+            assert.ok(/^(\u{1F600})+$/u.test(part), JSON.stringify(part));
+        }
+    });
+
+    await test('the first part can have a smaller limit (a caption)', () => {
+        assert.deepStrictEqual(split('caption text that is long enough to split here', 200, 25),
+            ['caption text', 'that is long enough to split here']);
+    });
+
+    // ═══════════════════════════════════════════════════════════════
+    // RESUMING AFTER A FAILED PART
+    // ═══════════════════════════════════════════════════════════════
+
+    console.log('\n🔁 Resuming\n');
+
+    await test('a retry starts at the first part that was not sent', async () => {
+        const db = new Database(':memory:');
+        const outbox = new Outbox(db, { baseDelayMs: 0 });
+        const sent = [];
+        let failNext = true;
+        let deliveredIds = null;
+
+        outbox.register('parts', {
+            async deliver(payload, context, job) {
+                const progress = outbox.progress(job, payload);
+                const ids = [];
+                for (const [index, part] of payload.parts.entries()) {
+                    ids.push(await progress.step(`part:${index}`, async () => {
+                        if (index === 1 && failNext) {
+                            failNext = false;
+                            throw new Error('network down');
+                        }
+                        sent.push(part);
+                        return `id-${index}`;
+                    }));
+                }
+                deliveredIds = ids;
+            }
+        });
+
+        const first = await outbox.send('parts', { parts: ['one', 'two', 'three'] });
+        assert.ok(first.queued);
+        assert.deepStrictEqual(sent, ['one']);
+
+        await outbox.flush();
+        assert.deepStrictEqual(sent, ['one', 'two', 'three']);
+        assert.deepStrictEqual(deliveredIds, ['id-0', 'id-1', 'id-2']);
+    });
+
+    await test('progress survives a restart (it is saved with the job)', async () => {
+        const db = new Database(':memory:');
+        const before = new Outbox(db, { baseDelayMs: 0 });
+        before.register('parts', {
+            async deliver(payload, context, job) {
+                const progress = before.progress(job, payload);
+                await progress.step('part:0', async () => 'id-0');
+                throw new Error('stopped');
+            }
+        });
+        await before.send('parts', {});
+
+        const after = new Outbox(db, { baseDelayMs: 0 });
+        const ran = [];
+        after.register('parts', {
+            async deliver(payload, context, job) {
+                const progress = after.progress(job, payload);
+                for (const name of ['part:0', 'part:1']) {
+                    await progress.step(name, async () => {
+                        ran.push(name);
+                        return name;
+                    });
+                }
+            }
+        });
+        await after.flush();
+        assert.deepStrictEqual(ran, ['part:1']);
+    });
+
+    await test('scoped steps do not clash with each other', async () => {
+        const db = new Database(':memory:');
+        const outbox = new Outbox(db);
+        const ran = [];
+        outbox.register('scopes', {
+            async deliver(payload, context, job) {
+                const progress = outbox.progress(job, payload);
+                for (const scope of ['header', 'item:1']) {
+                    await progress.scope(scope).step('part:0', async () => {
+                        ran.push(scope);
+                        return scope;
+                    });
+                }
+                assert.deepStrictEqual(Object.keys(payload.progress), ['header/part:0', 'item:1/part:0']);
+            }
+        });
+        const result = await outbox.send('scopes', {});
+        assert.ok(result.delivered, result.error && result.error.message);
+        assert.deepStrictEqual(ran, ['header', 'item:1']);
+    });
+
+    // ═══════════════════════════════════════════════════════════════
+    // RESULTS
+    // ═══════════════════════════════════════════════════════════════
+
+    console.log(`\n${failed === 0 ? '🎉' : '💥'} ${passed} passed, ${failed} failed\n`);
+    process.exitCode = failed === 0 ? 0 : 1;
+})();